@@ -3,11 +3,20 @@ const cors = require('cors');
 const path = require('path');
 const config = require('./config');
 const { errorHandler, notFound } = require('./middleware');
-const { authRoutes, userRoutes, chatRoomRoutes, messageRoutes } = require('./routes');
+const {
+    authRoutes,
+    userRoutes,
+    chatRoomRoutes,
+    messageRoutes,
+    adminRoutes,
+} = require('./routes');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (rate limits, sessions)
+app.set('trust proxy', config.trustProxy);
+
 // ============================================
 // Middleware
 // ============================================
@@ -46,6 +55,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chatrooms', chatRoomRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ============================================
 // Error Handling
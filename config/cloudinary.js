@@ -3,7 +3,8 @@ const config = require('./index');
 
 /**
  * Configure Cloudinary for cloud media storage
- * This is optional - falls back to local storage if not configured
+ * Called by the Cloudinary storage driver (STORAGE_DRIVER=cloudinary)
+ * @returns {boolean} - Whether credentials were present
  */
 const configureCloudinary = () => {
     if (config.cloudinary.cloudName && config.cloudinary.apiKey && config.cloudinary.apiSecret) {
@@ -15,7 +16,7 @@ const configureCloudinary = () => {
         console.log('✅ Cloudinary configured successfully');
         return true;
     }
-    console.log('ℹ️ Cloudinary not configured - using local storage');
+    console.log('ℹ️ Cloudinary not configured');
     return false;
 };
 
@@ -23,7 +24,7 @@ const configureCloudinary = () => {
  * Upload file to Cloudinary
  * @param {string} filePath - Local file path
  * @param {string} folder - Cloudinary folder name
- * @returns {Promise<object>} - Cloudinary upload result
+ * @returns {Promise<object>} - { url, publicId, resourceType, format, size }
  */
 const uploadToCloudinary = async (filePath, folder = 'chat-app') => {
     try {
@@ -34,6 +35,7 @@ const uploadToCloudinary = async (filePath, folder = 'chat-app') => {
         return {
             url: result.secure_url,
             publicId: result.public_id,
+            resourceType: result.resource_type,
             format: result.format,
             size: result.bytes,
         };
@@ -46,11 +48,12 @@ const uploadToCloudinary = async (filePath, folder = 'chat-app') => {
 /**
  * Delete file from Cloudinary
  * @param {string} publicId - Cloudinary public ID
+ * @param {string} resourceType - 'image', 'video' (also used for audio) or 'raw'
  * @returns {Promise<object>}
  */
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
     try {
-        const result = await cloudinary.uploader.destroy(publicId);
+        const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
         return result;
     } catch (error) {
         console.error('Cloudinary delete error:', error);
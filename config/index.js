@@ -1,9 +1,47 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
+/**
+ * Build OpenID Connect provider settings from the environment, e.g.
+ * OIDC_PROVIDERS=company with OIDC_COMPANY_ISSUER, OIDC_COMPANY_CLIENT_ID,
+ * OIDC_COMPANY_CLIENT_SECRET and optionally OIDC_COMPANY_SCOPES
+ * @returns {object} - Provider name -> settings
+ */
+const loadOidcProviders = () => {
+    return (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .reduce((providers, name) => {
+            const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+            providers[name] = {
+                issuer: process.env[`${prefix}ISSUER`],
+                clientId: process.env[`${prefix}CLIENT_ID`],
+                clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+                scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+            };
+            return providers;
+        }, {});
+};
+
+/**
+ * Parse TRUST_PROXY into an Express `trust proxy` value
+ * @param {string} value - Raw setting
+ * @returns {boolean|number|string}
+ */
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
 module.exports = {
     // Server Configuration
     port: process.env.PORT || 5000,
+    // Express `trust proxy`: hop count, `true`, or addresses/subnets (e.g. loopback).
+    // Needed behind a reverse proxy so req.ip is the client, not the proxy.
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
     nodeEnv: process.env.NODE_ENV || 'development',
 
     // MongoDB Configuration
@@ -11,7 +49,115 @@ module.exports = {
 
     // JWT Configuration
     jwtSecret: process.env.JWT_SECRET || 'fallback_secret_change_in_production',
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m', // Short-lived access token
+    refreshTokenExpiresIn: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN) || 30 * 24 * 60 * 60 * 1000, // 30 days (ms)
+    // Replaying the most recently retired refresh token this soon after rotation gets a
+    // 401 without revoking the session (ms, 0 = off). Tolerates clients that refresh
+    // twice at once, but a stolen token replayed in this window goes undetected.
+    refreshReuseGracePeriod: parseInt(process.env.REFRESH_REUSE_GRACE_PERIOD) || 0,
+
+    // Two-factor authentication
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Chat App', // Shown in authenticator apps
+        challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    },
+
+    // Brute-force protection for login/registration
+    bruteForce: {
+        freeRetries: parseInt(process.env.BRUTE_FORCE_FREE_RETRIES) || 5, // Failures before backoff starts
+        minWait: 1000, // First backoff: 1 second, doubling after each failure
+        maxWait: 15 * 60 * 1000, // Backoff cap: 15 minutes
+        lifetime: 60 * 60 * 1000, // Forget failures after 1 hour
+        registerFreeRetries: parseInt(process.env.REGISTER_FREE_RETRIES) || 10, // Registrations per IP per hour
+        maxFailedLogins: parseInt(process.env.MAX_FAILED_LOGINS) || 10, // Failures before account lockout
+        lockDuration: parseInt(process.env.ACCOUNT_LOCK_DURATION) || 15 * 60 * 1000, // 15 minutes (ms)
+    },
+
+    // General rate limiting (token bucket: `capacity` requests refilled over `interval` ms)
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        auth: { capacity: 30, interval: 60 * 1000 }, // Per IP, public credential endpoints
+        account: { capacity: 120, interval: 60 * 1000 }, // Per user (per session for token refresh)
+        messages: { capacity: 120, interval: 60 * 1000 }, // Per user
+        uploads: { capacity: 10, interval: 60 * 1000 }, // Per user
+        socketEvents: {
+            default: { capacity: 30, interval: 10 * 1000 }, // Per socket, per event
+            'message:send': { capacity: 10, interval: 10 * 1000 },
+            'typing:start': { capacity: 5, interval: 5 * 1000 },
+            'typing:stop': { capacity: 5, interval: 5 * 1000 },
+        },
+    },
+
+    // Messages
+    messages: {
+        // How long after sending a message can be edited (ms, 0 = no limit)
+        editWindow: process.env.MESSAGE_EDIT_WINDOW !== undefined
+            ? parseInt(process.env.MESSAGE_EDIT_WINDOW) || 0
+            : 15 * 60 * 1000, // 15 minutes
+        // Distinct emojis a single message can collect
+        maxReactions: parseInt(process.env.MAX_REACTIONS_PER_MESSAGE) || 20,
+    },
+
+    // Scheduled message delivery
+    scheduledMessages: {
+        pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 15 * 1000, // 15 seconds (ms)
+        lockTimeout: 5 * 60 * 1000, // Retry deliveries stuck for 5 minutes
+        maxPendingPerUser: parseInt(process.env.MAX_SCHEDULED_MESSAGES) || 100,
+    },
+
+    // Disappearing message sweeper
+    messageExpiry: {
+        sweepInterval: parseInt(process.env.MESSAGE_EXPIRY_SWEEP_INTERVAL) || 60 * 1000, // 1 minute (ms)
+        batchSize: 500,
+    },
+
+    // Delivery receipts: how long to wait for a client to ack `message:new`
+    receipts: {
+        ackTimeout: parseInt(process.env.DELIVERY_ACK_TIMEOUT) || 10 * 1000, // 10 seconds (ms)
+    },
+
+    // Link previews (unfurling URLs in messages)
+    linkPreview: {
+        enabled: process.env.LINK_PREVIEWS_ENABLED !== 'false',
+        timeout: parseInt(process.env.LINK_PREVIEW_TIMEOUT) || 5000, // ms per page
+        maxBytes: 512 * 1024, // Only the document head is needed
+        maxRedirects: 3,
+        maxPerMessage: 3,
+        cacheTtl: 24 * 60 * 60 * 1000, // 24 hours
+        failureCacheTtl: 60 * 60 * 1000, // 1 hour
+        // Only for local development and test fixtures - disables the SSRF guard
+        allowPrivate: process.env.LINK_PREVIEW_ALLOW_PRIVATE === 'true',
+        userAgent: 'ChatAppLinkPreview/1.0',
+    },
+
+    // Chat rooms
+    chatRooms: {
+        maxPinnedMessages: parseInt(process.env.MAX_PINNED_MESSAGES) || 50,
+    },
+
+    // Password reset link lifetime
+    passwordResetExpiresIn: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN) || 60 * 60 * 1000, // 1 hour (ms)
+
+    // Email verification
+    emailVerificationExpiresIn: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN) || 24 * 60 * 60 * 1000, // 24 hours (ms)
+    // Block unverified accounts from creating groups and sending messages
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+
+    // Mail Configuration
+    mail: {
+        // smtp | file | console; console is only a default outside production,
+        // where mail would otherwise silently go nowhere
+        driver: process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? null : 'console'),
+        from: process.env.MAIL_FROM || 'Chat App <no-reply@chat-app.local>',
+        fileDirectory: process.env.MAIL_FILE_DIR || 'mail-outbox',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+        },
+    },
 
     // Cloudinary Configuration
     cloudinary: {
@@ -20,22 +166,83 @@ module.exports = {
         apiSecret: process.env.CLOUDINARY_API_SECRET,
     },
 
+    // Media storage
+    storage: {
+        // 'local' (uploads/ on this server), 'cloudinary' or 's3' (AWS S3, MinIO and other S3-compatible stores)
+        driver: process.env.STORAGE_DRIVER || 'local',
+        // Lifetime of signed download URLs (seconds)
+        signedUrlExpiry: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRY, 10) || 15 * 60,
+        cloudinary: {
+            folder: process.env.CLOUDINARY_FOLDER || 'chat-app',
+        },
+        s3: {
+            endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; unset for AWS
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            // MinIO needs path-style URLs (endpoint/bucket/key)
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : Boolean(process.env.S3_ENDPOINT),
+            // Base URL for stored media links (CDN or public bucket); defaults to the bucket URL
+            publicUrl: process.env.S3_PUBLIC_URL,
+        },
+    },
+
     // Client URL for CORS
     clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
 
+    // Public URL of this server (used for OAuth callback URLs)
+    serverUrl: process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+    // OAuth2 / OpenID Connect social login
+    oauth: {
+        providers: loadOidcProviders(),
+    },
+
     // Upload Configuration
     upload: {
         maxFileSize: 10 * 1024 * 1024, // 10MB
+        // Per-kind limits; kinds without an entry fall back to maxFileSize
+        maxFileSizes: {
+            image: 10 * 1024 * 1024, // 10MB
+            audio: parseInt(process.env.MAX_AUDIO_FILE_SIZE, 10) || 25 * 1024 * 1024, // 25MB
+        },
         allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+        allowedAudioTypes: [
+            'audio/wav',
+            'audio/x-wav',
+            'audio/wave',
+            'audio/ogg',
+            'audio/opus',
+            'audio/mpeg',
+            'audio/mp3',
+        ],
         allowedFileTypes: [
             'image/jpeg',
             'image/png',
             'image/gif',
             'image/webp',
+            'audio/wav',
+            'audio/x-wav',
+            'audio/wave',
+            'audio/ogg',
+            'audio/opus',
+            'audio/mpeg',
+            'audio/mp3',
             'application/pdf',
             'application/msword',
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             'text/plain',
         ],
     },
+
+    // Image processing for uploaded images and avatars
+    images: {
+        thumbnailSize: 320, // Longest side, px
+        previewSize: 1280, // Longest side, px
+        avatarSize: 256, // Square, px
+        quality: 80, // JPEG/WebP quality for re-encoded images
+    },
 };
@@ -0,0 +1,208 @@
+const User = require('../models/User');
+const ChatRoom = require('../models/ChatRoom');
+const Session = require('../models/Session');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { parsePagination, createPaginationMeta } = require('../utils');
+const account = require('../services/account');
+const { asyncHandler, NotFoundError, BadRequestError } = require('../middleware');
+
+/**
+ * Find a user other than the acting admin
+ * @param {object} req - Express request
+ * @returns {Promise<User>}
+ */
+const findTargetUser = async (req) => {
+    const { userId } = req.params;
+
+    if (userId === req.userId.toString()) {
+        throw new BadRequestError('You cannot perform this action on your own account');
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return user;
+};
+
+/**
+ * Revoke all sessions of a user and drop their live socket connections
+ * @param {object} req - Express request
+ * @param {string} userId - User ID
+ * @param {string} reason - Session revocation reason
+ */
+const signOutUser = async (req, userId, reason) => {
+    await Session.revokeAllForUser(userId, reason);
+
+    const io = req.app.get('io');
+    if (io) io.disconnectUser(userId);
+};
+
+/**
+ * @desc    List users (with filters)
+ * @route   GET /api/admin/users
+ * @access  Private (Admin only)
+ */
+const getUsers = asyncHandler(async (req, res) => {
+    const { q, role, suspended } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = {};
+
+    if (q && q.trim()) {
+        const escaped = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const searchRegex = new RegExp(escaped, 'i');
+        query.$or = [{ username: searchRegex }, { email: searchRegex }];
+    }
+
+    if (role) query.role = role;
+    if (suspended !== undefined) query.isSuspended = suspended === 'true';
+
+    const [users, total] = await Promise.all([
+        User.find(query)
+            .select('username email avatar status lastSeen role isSuspended suspendedAt suspendedReason emailVerified createdAt')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        User.countDocuments(query),
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            users,
+            pagination: createPaginationMeta(total, page, limit),
+        },
+    });
+});
+
+/**
+ * @desc    Change a user's platform role
+ * @route   PUT /api/admin/users/:userId/role
+ * @access  Private (Admin only)
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req);
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'User role updated successfully',
+        data: { user: user.toPublicProfile() },
+    });
+});
+
+/**
+ * @desc    Suspend a user
+ * @route   POST /api/admin/users/:userId/suspend
+ * @access  Private (Admin only)
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req);
+
+    if (user.isSuspended) {
+        throw new BadRequestError('User is already suspended');
+    }
+
+    user.suspend(req.body.reason);
+    await user.save();
+
+    await signOutUser(req, user._id, 'suspended');
+
+    // Nothing queued may go out on behalf of a suspended user
+    await ScheduledMessage.updateMany(
+        { sender: user._id, status: 'pending' },
+        { status: 'cancelled', error: 'Sender was suspended' }
+    );
+
+    res.json({
+        success: true,
+        message: 'User suspended successfully',
+        data: { user: user.toPublicProfile() },
+    });
+});
+
+/**
+ * @desc    Lift a user's suspension
+ * @route   POST /api/admin/users/:userId/unsuspend
+ * @access  Private (Admin only)
+ */
+const unsuspendUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req);
+
+    if (!user.isSuspended) {
+        throw new BadRequestError('User is not suspended');
+    }
+
+    user.unsuspend();
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'User unsuspended successfully',
+        data: { user: user.toPublicProfile() },
+    });
+});
+
+/**
+ * @desc    Delete a user
+ * @route   DELETE /api/admin/users/:userId
+ * @access  Private (Admin only)
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req);
+
+    await account.deleteAccount(user, req.app.get('io'));
+
+    res.json({
+        success: true,
+        message: 'User deleted successfully',
+    });
+});
+
+/**
+ * @desc    Deactivate any chat room
+ * @route   POST /api/admin/chatrooms/:roomId/deactivate
+ * @access  Private (Admin only)
+ */
+const deactivateChatRoom = asyncHandler(async (req, res) => {
+    const { roomId } = req.params;
+
+    const chatRoom = await ChatRoom.findById(roomId);
+
+    if (!chatRoom) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('Chat room is already deactivated');
+    }
+
+    chatRoom.isActive = false;
+    await chatRoom.save();
+
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`room:${roomId}`).emit('chatroom:deactivated', { chatRoomId: roomId });
+    }
+
+    res.json({
+        success: true,
+        message: 'Chat room deactivated successfully',
+        data: { chatRoom },
+    });
+});
+
+module.exports = {
+    getUsers,
+    updateUserRole,
+    suspendUser,
+    unsuspendUser,
+    deleteUser,
+    deactivateChatRoom,
+};
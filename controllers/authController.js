@@ -1,6 +1,114 @@
+const mongoose = require('mongoose');
+const config = require('../config');
 const User = require('../models/User');
-const { generateToken, sanitizeUser } = require('../utils');
-const { asyncHandler, BadRequestError, NotFoundError } = require('../middleware');
+const Session = require('../models/Session');
+const {
+    generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    generateRefreshToken,
+    parseRefreshToken,
+    hashToken,
+    sanitizeUser,
+} = require('../utils');
+const {
+    asyncHandler,
+    BadRequestError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    TooManyRequestsError,
+    InternalServerError,
+    deleteFile,
+    getFileKey,
+} = require('../middleware');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const mail = require('../services/mail');
+const oidc = require('../services/oidc');
+const account = require('../services/account');
+const { processAvatar } = require('../services/images');
+const storage = require('../services/storage');
+
+/**
+ * Create a new session and issue its access and refresh tokens
+ * @param {string} userId - User ID
+ * @param {object} req - Express request (for device info)
+ * @returns {Promise<object>} - { token, refreshToken }
+ */
+const createSession = async (userId, req) => {
+    const session = new Session({
+        user: userId,
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + config.refreshTokenExpiresIn),
+    });
+
+    const { token: refreshToken, secretHash } = generateRefreshToken(session._id);
+    session.refreshTokenHash = secretHash;
+    await session.save();
+
+    return {
+        token: generateToken(userId, session._id),
+        refreshToken,
+    };
+};
+
+/**
+ * Reject logins to a temporarily locked account
+ * @param {User} user - User with lockUntil selected
+ */
+const assertNotLocked = (user) => {
+    if (user.isLocked()) {
+        const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+        throw new TooManyRequestsError(
+            'Account temporarily locked due to too many failed login attempts',
+            retryAfter
+        );
+    }
+};
+
+/**
+ * Record a failed login attempt on the user document
+ * @param {User} user - User with failedLoginAttempts and lockUntil selected
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user) => {
+    user.registerFailedLogin(config.bruteForce.maxFailedLogins, config.bruteForce.lockDuration);
+    await user.save();
+};
+
+/**
+ * Force-disconnect live Socket.IO connections of revoked sessions
+ * @param {object} req - Express request
+ * @param {Array} sessionIds - Revoked session IDs
+ */
+const disconnectSessions = (req, sessionIds) => {
+    const io = req.app.get('io');
+    if (!io) return;
+
+    sessionIds.forEach((sessionId) => io.disconnectSession(sessionId));
+};
+
+/**
+ * Create a fresh verification token for a user and email the link
+ * @param {User} user - User to verify
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const verificationToken = user.createEmailVerificationToken(config.emailVerificationExpiresIn);
+    await user.save();
+
+    const verifyUrl = `${config.clientUrl}/verify-email/${verificationToken}`;
+
+    await mail.sendMail({
+        to: user.email,
+        ...mail.templates.emailVerification(
+            user,
+            verifyUrl,
+            Math.round(config.emailVerificationExpiresIn / 3600000)
+        ),
+    });
+};
 
 /**
  * @desc    Register a new user
@@ -30,8 +138,15 @@ const register = asyncHandler(async (req, res) => {
         status: 'online',
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if mail is down)
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error('Verification mail error:', error);
+    }
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
         success: true,
@@ -39,6 +154,7 @@ const register = asyncHandler(async (req, res) => {
         data: {
             user: sanitizeUser(user),
             token,
+            refreshToken,
         },
     });
 });
@@ -52,26 +168,99 @@ const login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     // Find user by email and include password
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil');
 
     if (!user) {
         throw new BadRequestError('Invalid email or password');
     }
 
+    assertNotLocked(user);
+
     // Check password
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+        await recordFailedLogin(user);
         throw new BadRequestError('Invalid email or password');
     }
 
+    if (user.isSuspended) {
+        throw new ForbiddenError('Your account has been suspended');
+    }
+
+    // Second step required: hand out a challenge instead of real tokens
+    if (user.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            data: {
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user._id),
+            },
+        });
+    }
+
+    // Update user status
+    user.resetFailedLogins();
+    user.status = 'online';
+    user.lastSeen = new Date();
+    await user.save();
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            user: sanitizeUser(user),
+            token,
+            refreshToken,
+        },
+    });
+});
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires challenge token)
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+        decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+        throw new UnauthorizedError('Challenge has expired or is invalid. Please log in again.');
+    }
+
+    const user = await User.findById(decoded.userId)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +failedLoginAttempts +lockUntil');
+
+    if (!user || !user.twoFactorEnabled) {
+        throw new UnauthorizedError('Challenge has expired or is invalid. Please log in again.');
+    }
+
+    if (user.isSuspended) {
+        throw new ForbiddenError('Your account has been suspended');
+    }
+
+    assertNotLocked(user);
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+        await recordFailedLogin(user);
+        throw new BadRequestError('Invalid authentication code');
+    }
+
     // Update user status
+    user.resetFailedLogins();
     user.status = 'online';
     user.lastSeen = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.json({
         success: true,
@@ -79,6 +268,184 @@ const login = asyncHandler(async (req, res) => {
         data: {
             user: sanitizeUser(user),
             token,
+            refreshToken,
+            recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+        },
+    });
+});
+
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+/**
+ * Cookie options for the OAuth login-binding cookie
+ * Lax so it is sent on the provider's top-level redirect back to us.
+ * @param {number} maxAge - Lifetime in ms (omit when clearing)
+ * @returns {object}
+ */
+const oauthStateCookieOptions = (maxAge) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.nodeEnv === 'production',
+    path: '/api/auth/oauth',
+    ...(maxAge && { maxAge }),
+});
+
+/**
+ * Read a cookie from the request (the app has no cookie parser)
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+const readCookie = (req, name) => {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            return part.slice(index + 1).trim();
+        }
+    }
+    return null;
+};
+
+/**
+ * Redirect back to the client app with the login result in the URL fragment
+ * (fragments are never sent to servers, which keeps tokens out of access logs)
+ * @param {object} res - Express response
+ * @param {object} params - Values to pass to the client
+ */
+const redirectToClient = (res, params) => {
+    res.redirect(`${config.clientUrl}/oauth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+/**
+ * @desc    Start OpenID Connect login
+ * @route   GET /api/auth/oauth/:provider
+ * @access  Public
+ */
+const oauthLogin = asyncHandler(async (req, res) => {
+    const provider = oidc.getProvider(req.params.provider);
+
+    if (!provider) {
+        throw new NotFoundError('Unknown login provider');
+    }
+
+    const { url, stateId } = await oidc.createAuthorizationUrl(provider);
+
+    res.cookie(OAUTH_STATE_COOKIE, stateId, oauthStateCookieOptions(oidc.STATE_MAX_AGE));
+    res.redirect(url);
+});
+
+/**
+ * @desc    OpenID Connect callback - link or create the user and log in
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @access  Public
+ */
+const oauthCallback = asyncHandler(async (req, res) => {
+    const provider = oidc.getProvider(req.params.provider);
+
+    if (!provider) {
+        throw new NotFoundError('Unknown login provider');
+    }
+
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    // One attempt per login, whatever the outcome
+    const stateId = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, oauthStateCookieOptions());
+
+    if (error) {
+        return redirectToClient(res, { error: errorDescription || error });
+    }
+
+    if (!code || !state) {
+        throw new BadRequestError('Missing authorization code or state');
+    }
+
+    let user;
+    try {
+        const claims = await oidc.completeAuthorization(provider, { code, state, stateId });
+        user = await User.findOrCreateFromOidc(provider.name, claims);
+    } catch (err) {
+        console.error('OAuth login error:', err.message);
+        return redirectToClient(res, {
+            error: err.isOperational ? err.message : 'Social login failed',
+        });
+    }
+
+    if (user.isSuspended) {
+        return redirectToClient(res, { error: 'Your account has been suspended' });
+    }
+
+    if (user.twoFactorEnabled) {
+        return redirectToClient(res, {
+            twoFactorRequired: 'true',
+            challengeToken: generateChallengeToken(user._id),
+        });
+    }
+
+    // Update user status
+    user.status = 'online';
+    user.lastSeen = new Date();
+    await user.save();
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    redirectToClient(res, { token, refreshToken });
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = asyncHandler(async (req, res) => {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed || !mongoose.isValidObjectId(parsed.sessionId)) {
+        throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session || !session.isActive()) {
+        throw new UnauthorizedError('Refresh token has expired or been revoked');
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    const { token: newRefreshToken, secretHash } = generateRefreshToken(session._id);
+    const rotated = await Session.rotateRefreshToken(session._id, presentedHash, secretHash, req.ip);
+
+    if (!rotated) {
+        const current = await Session.findById(session._id).select('+retiredRefreshTokenHashes');
+        const retired = (current && current.retiredRefreshTokenHashes) || [];
+
+        // Only a token this session has already rotated away proves reuse; anything
+        // else (a typo, a forged secret) must not log the real user out
+        if (!retired.includes(presentedHash)) {
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        // Optional grace period for a client that sent the same token twice at once.
+        // The losing request never receives the new token: the client has to use the
+        // one the other request got, or log in again.
+        const justRetired = retired[retired.length - 1] === presentedHash;
+        if (justRetired && Date.now() - current.lastUsedAt.getTime() < config.refreshReuseGracePeriod) {
+            throw new UnauthorizedError('Refresh token has already been used');
+        }
+
+        // An already-rotated token was presented: assume it was stolen
+        // and revoke the whole token family
+        current.revoke('reuse_detected');
+        await current.save();
+        throw new UnauthorizedError('Refresh token reuse detected. Please log in again.');
+    }
+
+    res.json({
+        success: true,
+        message: 'Token refreshed',
+        data: {
+            token: generateToken(session.user, session._id),
+            refreshToken: newRefreshToken,
         },
     });
 });
@@ -171,8 +538,12 @@ const changePassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const revokedIds = await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+    disconnectSessions(req, revokedIds);
+
     // Generate new token
-    const token = generateToken(user._id);
+    const token = generateToken(user._id, req.sessionId);
 
     res.json({
         success: true,
@@ -181,12 +552,267 @@ const changePassword = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists (no user enumeration)
+    const response = {
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent',
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+        return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken(config.passwordResetExpiresIn);
+    await user.save();
+
+    const resetUrl = `${config.clientUrl}/reset-password/${resetToken}`;
+
+    try {
+        await mail.sendMail({
+            to: user.email,
+            ...mail.templates.passwordReset(
+                user,
+                resetUrl,
+                Math.round(config.passwordResetExpiresIn / 60000)
+            ),
+        });
+    } catch (error) {
+        // Still answer as usual: an error here would reveal that the account exists
+        console.error('Password reset mail error:', error);
+
+        user.clearPasswordResetToken();
+        await user.save().catch((saveError) => {
+            console.error('Failed to clear password reset token:', saveError.message);
+        });
+    }
+
+    res.json(response);
+});
+
+/**
+ * @desc    Reset password with a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+    }).select('+password');
+
+    if (!user) {
+        throw new BadRequestError('Password reset token is invalid or has expired');
+    }
+
+    // Update password and consume the token
+    user.password = password;
+    user.clearPasswordResetToken();
+    await user.save();
+
+    // Sign out every device still holding old tokens
+    const revokedIds = await Session.revokeAllForUser(user._id, 'password_reset');
+    disconnectSessions(req, revokedIds);
+
+    res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.',
+    });
+});
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new BadRequestError('Verification link is invalid or has expired');
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+            user: sanitizeUser(user),
+        },
+    });
+});
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (user.emailVerified) {
+        throw new BadRequestError('Email is already verified');
+    }
+
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error('Verification mail error:', error);
+        throw new InternalServerError('Failed to send verification email. Please try again later.');
+    }
+
+    res.json({
+        success: true,
+        message: 'Verification email sent',
+    });
+});
+
+/**
+ * @desc    Start two-factor enrollment (generate secret and otpauth URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+
+    // Secret stays pending until confirmed with a valid code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+            secret,
+            otpauthUri: buildOtpauthUri({
+                secret,
+                label: user.email,
+                issuer: config.twoFactor.issuer,
+            }),
+        },
+    });
+});
+
+/**
+ * @desc    Confirm two-factor enrollment and get recovery codes
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+        throw new BadRequestError('Start two-factor setup first');
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+        throw new BadRequestError('Invalid authentication code');
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes },
+    });
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.userId)
+        .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    const isMatch = await user.comparePassword(password);
+
+    if (!isMatch) {
+        throw new BadRequestError('Password is incorrect');
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+        throw new BadRequestError('Invalid authentication code');
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+    });
+});
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
+    // Revoke the current session so its tokens stop working
+    await Session.findByIdAndUpdate(req.sessionId, {
+        revokedAt: new Date(),
+        revokedReason: 'logout',
+    });
+    disconnectSessions(req, [req.sessionId]);
+
     // Update user status
     await User.findByIdAndUpdate(req.userId, {
         status: 'offline',
@@ -199,6 +825,115 @@ const logout = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    List active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.findActiveForUser(req.userId);
+
+    res.json({
+        success: true,
+        data: {
+            sessions: sessions.map((session) => session.toPublicSession(req.sessionId)),
+        },
+    });
+});
+
+/**
+ * @desc    Revoke a single session
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({
+        _id: sessionId,
+        user: req.userId,
+        revokedAt: null,
+    });
+
+    if (!session) {
+        throw new NotFoundError('Session not found');
+    }
+
+    session.revoke('logout');
+    await session.save();
+    disconnectSessions(req, [session._id]);
+
+    res.json({
+        success: true,
+        message: 'Session revoked successfully',
+    });
+});
+
+/**
+ * @desc    Logout from all devices
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+    const revokedIds = await Session.revokeAllForUser(req.userId, 'logout');
+    disconnectSessions(req, revokedIds);
+
+    await User.findByIdAndUpdate(req.userId, {
+        status: 'offline',
+        lastSeen: new Date(),
+    });
+
+    res.json({
+        success: true,
+        message: 'Logged out from all devices',
+    });
+});
+
+/**
+ * @desc    Download all personal data as a zip archive
+ * @route   GET /api/auth/export
+ * @access  Private
+ */
+const exportData = asyncHandler(async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`chat-export-${req.user.username}-${date}.zip`);
+    res.type('application/zip');
+
+    await account.writeExportArchive(req.userId, res);
+});
+
+/**
+ * @desc    Permanently delete the current user's account
+ * @route   DELETE /api/auth/account
+ * @access  Private
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    // Accounts with a password must confirm it (social-only accounts have none)
+    if (user.password) {
+        const isMatch = await user.comparePassword(password || '');
+
+        if (!isMatch) {
+            throw new BadRequestError('Password is incorrect');
+        }
+    }
+
+    await account.deleteAccount(user, req.app.get('io'));
+
+    res.json({
+        success: true,
+        message: 'Account deleted successfully',
+    });
+});
+
 /**
  * @desc    Upload avatar
  * @route   POST /api/auth/avatar
@@ -209,19 +944,54 @@ const uploadAvatar = asyncHandler(async (req, res) => {
         throw new BadRequestError('Please upload an image');
     }
 
-    // Get file URL
-    const avatarUrl = `/uploads/images/${req.file.filename}`;
+    // Square crop without EXIF/GPS metadata
+    try {
+        await processAvatar(req.file.path);
+    } catch (error) {
+        await deleteFile(req.file.path).catch(() => {});
+        throw new BadRequestError('Could not process image');
+    }
 
-    const user = await User.findByIdAndUpdate(
-        req.userId,
-        { avatar: avatarUrl },
-        { new: true }
-    );
+    const previous = await User.findById(req.userId).select('avatar avatarFile');
+
+    if (!previous) {
+        await deleteFile(req.file.path).catch(() => {});
+        throw new NotFoundError('User not found');
+    }
+
+    const stored = await storage.storeFile(getFileKey(req.file), req.file.path, { contentType: req.file.mimetype });
+    const avatarUrl = stored.url;
+
+    // Don't leave an unreferenced file behind if the user can't be updated
+    const discardStored = () => storage.removeFile(stored).catch((error) => {
+        console.error('Failed to delete unused avatar:', error.message);
+    });
+
+    let user;
+    try {
+        user = await User.findByIdAndUpdate(
+            req.userId,
+            { avatar: avatarUrl, avatarFile: { storage: stored.storage, key: stored.key } },
+            { new: true }
+        );
+    } catch (error) {
+        await discardStored();
+        throw error;
+    }
 
     if (!user) {
+        await discardStored();
         throw new NotFoundError('User not found');
     }
 
+    // The old upload is no longer referenced; `avatar` itself can be set to any URL, so go by avatarFile
+    const { avatarFile } = previous.toObject();
+    if (avatarFile && avatarFile.key) {
+        await storage.removeFile(avatarFile).catch((error) => {
+            console.error('Failed to delete previous avatar:', error.message);
+        });
+    }
+
     res.json({
         success: true,
         message: 'Avatar uploaded successfully',
@@ -235,9 +1005,25 @@ const uploadAvatar = asyncHandler(async (req, res) => {
 module.exports = {
     register,
     login,
+    verifyTwoFactor,
+    oauthLogin,
+    oauthCallback,
+    refresh,
     getMe,
     updateProfile,
     changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
     logout,
+    getSessions,
+    revokeSession,
+    logoutAll,
+    exportData,
+    deleteAccount,
     uploadAvatar,
 };
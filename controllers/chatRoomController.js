@@ -2,6 +2,71 @@ const ChatRoom = require('../models/ChatRoom');
 const Message = require('../models/Message');
 const { parsePagination, createPaginationMeta } = require('../utils');
 const { asyncHandler, NotFoundError, ForbiddenError, BadRequestError } = require('../middleware');
+const config = require('../config');
+
+/**
+ * Load a room and a message in it for pin management
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { chatRoom, message }
+ */
+const findPinTarget = async (req) => {
+    const { roomId, messageId } = req.params;
+
+    const chatRoom = await ChatRoom.findById(roomId);
+
+    if (!chatRoom) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    if (!chatRoom.isParticipant(req.userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('This chat room has been deactivated');
+    }
+
+    if (!chatRoom.canManagePins(req.userId)) {
+        throw new ForbiddenError('Only admins can manage pinned messages');
+    }
+
+    const message = await Message.findOne({ _id: messageId, chatRoom: roomId, isDeleted: false });
+
+    if (!message) {
+        throw new NotFoundError('Message not found');
+    }
+
+    return { chatRoom, message };
+};
+
+/**
+ * Post a system message about a pin change and broadcast it
+ * @param {object} req - Express request
+ * @param {ChatRoom} chatRoom - Chat room
+ * @param {Message} message - Pinned/unpinned message
+ * @param {boolean} pinned - Whether the message is now pinned
+ */
+const announcePinChange = async (req, chatRoom, message, pinned) => {
+    const systemMessage = await Message.createSystemMessage(
+        chatRoom,
+        req.userId,
+        `${req.user.username} ${pinned ? 'pinned' : 'unpinned'} a message`
+    );
+
+    chatRoom.lastMessage = systemMessage._id;
+    await chatRoom.save();
+
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`room:${chatRoom._id}`).emit('message:new', systemMessage);
+        io.to(`room:${chatRoom._id}`).emit('message:pinned', {
+            chatRoomId: chatRoom._id,
+            messageId: message._id,
+            pinned,
+            userId: req.userId,
+        });
+    }
+};
 
 /**
  * @desc    Get all chat rooms for current user
@@ -22,6 +87,9 @@ const getChatRooms = asyncHandler(async (req, res) => {
             .populate('lastMessage')
             .populate({
                 path: 'lastMessage',
+                // Room previews never carry edit history; poll voters are needed for the
+                // tallies, and toJSON already hides voter IDs of anonymous polls
+                select: '-revisions',
                 populate: {
                     path: 'sender',
                     select: 'username',
@@ -150,7 +218,7 @@ const createGroupChat = asyncHandler(async (req, res) => {
  */
 const updateChatRoom = asyncHandler(async (req, res) => {
     const { roomId } = req.params;
-    const { name, description, avatar } = req.body;
+    const { name, description, avatar, retention } = req.body;
 
     const chatRoom = await ChatRoom.findById(roomId);
 
@@ -171,6 +239,25 @@ const updateChatRoom = asyncHandler(async (req, res) => {
     if (description !== undefined) chatRoom.description = description;
     if (avatar) chatRoom.avatar = avatar;
 
+    const retentionChanged = retention !== undefined && retention !== chatRoom.retention;
+
+    if (retentionChanged) {
+        chatRoom.retention = retention;
+
+        // Let everyone know new messages will now disappear (or not)
+        const systemMessage = await Message.createSystemMessage(
+            chatRoom,
+            req.userId,
+            retention === 'off'
+                ? `${req.user.username} turned off disappearing messages`
+                : `${req.user.username} set disappearing messages to ${retention}`
+        );
+        chatRoom.lastMessage = systemMessage._id;
+
+        const io = req.app.get('io');
+        if (io) io.to(`room:${roomId}`).emit('message:new', systemMessage);
+    }
+
     await chatRoom.save();
     await chatRoom.populate('participants.user', 'username avatar status lastSeen');
 
@@ -286,25 +373,8 @@ const leaveGroup = asyncHandler(async (req, res) => {
         throw new BadRequestError('You are not a member of this group');
     }
 
-    // If user is the only admin, assign new admin
-    if (chatRoom.isAdmin(req.userId)) {
-        const adminCount = chatRoom.participants.filter((p) => p.role === 'admin').length;
-        if (adminCount <= 1 && chatRoom.participants.length > 1) {
-            const newAdmin = chatRoom.participants.find(
-                (p) => p.user.toString() !== req.userId.toString()
-            );
-            if (newAdmin) {
-                newAdmin.role = 'admin';
-            }
-        }
-    }
-
-    chatRoom.removeParticipant(req.userId);
-
-    // If no participants left, deactivate the room
-    if (chatRoom.participants.length === 0) {
-        chatRoom.isActive = false;
-    }
+    // Remove user, handing off the admin role if needed
+    chatRoom.leave(req.userId);
 
     await chatRoom.save();
 
@@ -341,6 +411,98 @@ const markAsRead = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Get pinned messages of a chat room
+ * @route   GET /api/chatrooms/:roomId/pins
+ * @access  Private
+ */
+const getPinnedMessages = asyncHandler(async (req, res) => {
+    const { roomId } = req.params;
+
+    const chatRoom = await ChatRoom.findById(roomId)
+        .populate({
+            path: 'pinnedMessages.message',
+            match: { isDeleted: false },
+            select: '-revisions',
+            populate: { path: 'sender', select: 'username avatar status' },
+        })
+        .populate('pinnedMessages.pinnedBy', 'username avatar');
+
+    if (!chatRoom) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    if (!chatRoom.isParticipant(req.userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    // Most recently pinned first
+    const pins = chatRoom.pinnedMessages
+        .filter((p) => p.message)
+        .reverse();
+
+    res.json({
+        success: true,
+        data: { pins },
+    });
+});
+
+/**
+ * @desc    Pin a message
+ * @route   POST /api/chatrooms/:roomId/pins/:messageId
+ * @access  Private (Group admins, private chat participants)
+ */
+const pinMessage = asyncHandler(async (req, res) => {
+    const { chatRoom, message } = await findPinTarget(req);
+
+    const { maxPinnedMessages } = config.chatRooms;
+    const pinned = await ChatRoom.addPin(chatRoom._id, message._id, req.userId, maxPinnedMessages);
+
+    if (!pinned) {
+        // Re-read: another request may have pinned in the meantime
+        const current = await ChatRoom.findById(chatRoom._id).select('pinnedMessages isActive');
+
+        if (current && current.isPinned(message._id)) {
+            throw new BadRequestError('Message is already pinned');
+        }
+
+        if (!current || !current.isActive) {
+            throw new BadRequestError('This chat room has been deactivated');
+        }
+
+        throw new BadRequestError(`A chat room can have at most ${maxPinnedMessages} pinned messages`);
+    }
+
+    await announcePinChange(req, chatRoom, message, true);
+
+    res.json({
+        success: true,
+        message: 'Message pinned successfully',
+    });
+});
+
+/**
+ * @desc    Unpin a message
+ * @route   DELETE /api/chatrooms/:roomId/pins/:messageId
+ * @access  Private (Group admins, private chat participants)
+ */
+const unpinMessage = asyncHandler(async (req, res) => {
+    const { chatRoom, message } = await findPinTarget(req);
+
+    const { modifiedCount } = await ChatRoom.removePin(chatRoom._id, message._id);
+
+    if (modifiedCount === 0) {
+        throw new BadRequestError('Message is not pinned');
+    }
+
+    await announcePinChange(req, chatRoom, message, false);
+
+    res.json({
+        success: true,
+        message: 'Message unpinned successfully',
+    });
+});
+
 module.exports = {
     getChatRooms,
     getChatRoom,
@@ -351,4 +513,7 @@ module.exports = {
     removeParticipant,
     leaveGroup,
     markAsRead,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage,
 };
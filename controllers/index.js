@@ -2,10 +2,16 @@ const authController = require('./authController');
 const userController = require('./userController');
 const chatRoomController = require('./chatRoomController');
 const messageController = require('./messageController');
+const adminController = require('./adminController');
+const scheduledMessageController = require('./scheduledMessageController');
+const pollController = require('./pollController');
 
 module.exports = {
     authController,
     userController,
     chatRoomController,
     messageController,
+    adminController,
+    scheduledMessageController,
+    pollController,
 };
@@ -1,8 +1,43 @@
 const Message = require('../models/Message');
 const ChatRoom = require('../models/ChatRoom');
-const { parsePagination, createPaginationMeta } = require('../utils');
+const {
+    parsePagination,
+    createPaginationMeta,
+    getSearchTerms,
+    highlightSnippet,
+} = require('../utils');
 const { asyncHandler, NotFoundError, ForbiddenError, BadRequestError } = require('../middleware');
-const { getFileUrl } = require('../middleware/upload');
+const { getFileKind, deleteFile } = require('../middleware/upload');
+const config = require('../config');
+const chatHandler = require('../socket/chatHandler');
+const { userSockets } = require('../socket');
+const { resolveMentions } = require('../services/mentions');
+const { unfurlMessage } = require('../services/linkPreview');
+const { analyzeAudio } = require('../services/audio');
+const { processImage } = require('../services/images');
+const storage = require('../services/storage');
+
+/**
+ * Load a message the user is allowed to see (participant of its room)
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<object>} - { message, chatRoom }
+ */
+const findAccessibleMessage = async (messageId, userId) => {
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+        throw new NotFoundError('Message not found');
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom);
+
+    if (!chatRoom || !chatRoom.isParticipant(userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    return { message, chatRoom };
+};
 
 /**
  * @desc    Get messages for a chat room
@@ -26,7 +61,7 @@ const getMessages = asyncHandler(async (req, res) => {
     }
 
     // Get messages
-    const messages = await Message.getMessages(roomId, { page, limit, before });
+    const messages = await Message.getMessages(roomId, { page, limit, before, viewerId: req.userId });
 
     // Get total count for pagination
     const total = await Message.countDocuments({
@@ -66,15 +101,38 @@ const sendMessage = asyncHandler(async (req, res) => {
         throw new ForbiddenError('You are not a member of this chat room');
     }
 
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('This chat room has been deactivated');
+    }
+
+    // Replies must target a message in the same room
+    let threadRoot = null;
+    if (replyTo) {
+        threadRoot = await Message.resolveThreadRoot(chatRoomId, replyTo);
+
+        if (!threadRoot) {
+            throw new BadRequestError('Reply target not found in this chat room');
+        }
+    }
+
+    const mentions = await resolveMentions(chatRoom, req.userId, content || '');
+
     // Create message
     const message = await Message.create({
         chatRoom: chatRoomId,
         sender: req.userId,
         content,
         messageType: 'text',
-        ...(replyTo && { replyTo }),
+        mentions,
+        expiresAt: chatRoom.getMessageExpiry(),
+        ...(replyTo && { replyTo, threadRoot }),
     });
 
+    // Update thread counters
+    if (threadRoot) {
+        await Message.recordThreadReply(threadRoot, message);
+    }
+
     // Update chat room's last message
     chatRoom.lastMessage = message._id;
     await chatRoom.save();
@@ -82,6 +140,12 @@ const sendMessage = asyncHandler(async (req, res) => {
     // Populate sender info
     await message.populate('sender', 'username avatar');
 
+    const io = req.app.get('io');
+    if (io) chatHandler.notifyMentions(io, message, message.mentions);
+
+    // Previews arrive later as `message:updated`
+    unfurlMessage(io, message);
+
     res.status(201).json({
         success: true,
         data: { message },
@@ -111,12 +175,35 @@ const sendMediaMessage = asyncHandler(async (req, res) => {
         throw new ForbiddenError('You are not a member of this chat room');
     }
 
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('This chat room has been deactivated');
+    }
+
     // Determine message type
-    const isImage = req.file.mimetype.startsWith('image/');
-    const messageType = isImage ? 'image' : 'file';
+    const messageType = getFileKind(req.file.mimetype);
+
+    // Images are stripped and resized, audio gets its duration and waveform read
+    let details = {};
+    if (messageType === 'image') {
+        try {
+            details = await processImage(req.file.path);
+        } catch (error) {
+            await deleteFile(req.file.path).catch(() => {});
+            throw new BadRequestError('Could not process image');
+        }
+    } else if (messageType === 'audio') {
+        try {
+            details = await analyzeAudio(req.file.path, req.file.mimetype);
+        } catch (error) {
+            await deleteFile(req.file.path).catch(() => {});
+            throw new BadRequestError('Could not read audio file');
+        }
+    }
+
+    // Move the file (and any resized copies) into the configured storage
+    const media = await storage.storeMedia(req.file, details);
 
-    // Get file URL
-    const fileUrl = getFileUrl(req.file);
+    const mentions = await resolveMentions(chatRoom, req.userId, content || '');
 
     // Create message with media
     const message = await Message.create({
@@ -124,12 +211,9 @@ const sendMediaMessage = asyncHandler(async (req, res) => {
         sender: req.userId,
         content: content || '',
         messageType,
-        media: {
-            url: fileUrl,
-            filename: req.file.originalname,
-            mimetype: req.file.mimetype,
-            size: req.file.size,
-        },
+        mentions,
+        media,
+        expiresAt: chatRoom.getMessageExpiry(),
     });
 
     // Update chat room's last message
@@ -139,6 +223,9 @@ const sendMediaMessage = asyncHandler(async (req, res) => {
     // Populate sender info
     await message.populate('sender', 'username avatar');
 
+    const io = req.app.get('io');
+    if (io) chatHandler.notifyMentions(io, message, message.mentions);
+
     res.status(201).json({
         success: true,
         data: { message },
@@ -168,12 +255,28 @@ const editMessage = asyncHandler(async (req, res) => {
         throw new BadRequestError('Cannot edit deleted message');
     }
 
+    if (message.messageType === 'poll') {
+        throw new BadRequestError('Polls cannot be edited');
+    }
+
+    if (!message.isEditable(config.messages.editWindow)) {
+        throw new ForbiddenError('The edit window for this message has passed');
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom);
+    const addedMentions = chatRoom
+        ? message.setMentions(await resolveMentions(chatRoom, req.userId, content))
+        : [];
+
     // Check if message has media - can only edit content
     message.editContent(content);
     await message.save();
 
     await message.populate('sender', 'username avatar');
 
+    const io = req.app.get('io');
+    if (io) chatHandler.notifyMentions(io, message, addedMentions);
+
     res.json({
         success: true,
         message: 'Message edited successfully',
@@ -199,9 +302,23 @@ const deleteMessage = asyncHandler(async (req, res) => {
         throw new ForbiddenError('You can only delete your own messages');
     }
 
+    const wasDeleted = message.isDeleted;
+
     // Soft delete
-    message.softDelete();
+    const media = message.softDelete();
     await message.save();
+    await storage.releaseMedia(media);
+
+    // Keep thread counters in sync
+    if (!wasDeleted && message.threadRoot) {
+        const root = await Message.recordThreadReplyDeleted(message.threadRoot, message);
+
+        const io = req.app.get('io');
+        if (io) chatHandler.broadcastThreadUpdate(io, message.chatRoom, root);
+    }
+
+    // Deleted messages can't stay pinned
+    await ChatRoom.removePin(message.chatRoom, message._id);
 
     res.json({
         success: true,
@@ -230,8 +347,21 @@ const markAsRead = asyncHandler(async (req, res) => {
         throw new ForbiddenError('Access denied');
     }
 
-    message.markAsRead(req.userId);
-    await message.save();
+    if (message.markAsRead(req.userId)) {
+        await message.save();
+
+        // Tell the sender their message was read
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`user:${message.sender}`).emit('message:status', {
+                messageId: message._id,
+                chatRoomId: message.chatRoom,
+                userId: req.userId,
+                status: 'read',
+                timestamp: new Date(),
+            });
+        }
+    }
 
     res.json({
         success: true,
@@ -239,6 +369,365 @@ const markAsRead = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Get delivery and read receipts of a message
+ * @route   GET /api/messages/:messageId/receipts
+ * @access  Private
+ */
+const getReceipts = asyncHandler(async (req, res) => {
+    const { message, chatRoom } = await findAccessibleMessage(req.params.messageId, req.userId);
+
+    await chatRoom.populate('participants.user', 'username avatar');
+
+    const recipients = chatRoom.participants
+        .map((p) => p.user)
+        .filter((user) => user && user._id.toString() !== message.sender.toString());
+
+    const receipts = message.getReceipts(recipients);
+
+    res.json({
+        success: true,
+        data: { messageId: message._id, receipts },
+    });
+});
+
+/**
+ * @desc    Forward a message to other chat rooms
+ * @route   POST /api/messages/:messageId/forward
+ * @access  Private
+ */
+const forwardMessage = asyncHandler(async (req, res) => {
+    const chatRoomIds = [...new Set(req.body.chatRoomIds)];
+
+    const { message: source } = await findAccessibleMessage(req.params.messageId, req.userId);
+
+    if (source.isDeleted || ['system', 'poll'].includes(source.messageType)) {
+        throw new BadRequestError('This message cannot be forwarded');
+    }
+
+    // Same checks as sendMessage, for every target before anything is sent
+    const chatRooms = await ChatRoom.find({ _id: { $in: chatRoomIds } });
+
+    if (chatRooms.length !== chatRoomIds.length) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    for (const chatRoom of chatRooms) {
+        if (!chatRoom.isParticipant(req.userId)) {
+            throw new ForbiddenError('You are not a member of this chat room');
+        }
+
+        if (!chatRoom.isActive) {
+            throw new BadRequestError('This chat room has been deactivated');
+        }
+    }
+
+    // Forwarding a forward points at the original message
+    const origin = source.forwardedFrom && source.forwardedFrom.message
+        ? source.forwardedFrom
+        : { message: source._id, sender: source.sender, chatRoom: source.chatRoom };
+
+    // Only reveal where the message came from if the forwarder can see it
+    const originVisible = origin.chatRoom
+        && await ChatRoom.exists({ _id: origin.chatRoom, 'participants.user': req.userId });
+
+    const forwardedFrom = originVisible
+        ? { message: origin.message, sender: origin.sender, chatRoom: origin.chatRoom }
+        : { message: origin.message };
+
+    const io = req.app.get('io');
+    const messages = [];
+
+    for (const chatRoom of chatRooms) {
+        const message = await Message.create({
+            chatRoom: chatRoom._id,
+            sender: req.userId,
+            content: source.content,
+            messageType: source.messageType,
+            ...(source.media && source.media.url && { media: source.media.toObject() }),
+            forwardedFrom,
+            expiresAt: chatRoom.getMessageExpiry(),
+        });
+
+        chatRoom.lastMessage = message._id;
+        await chatRoom.save();
+
+        await message.populate([
+            { path: 'sender', select: 'username avatar' },
+            { path: 'forwardedFrom.sender', select: 'username avatar' },
+            { path: 'forwardedFrom.chatRoom', select: 'name type' },
+        ]);
+
+        if (io) chatHandler.broadcastNewMessage(io, userSockets, message);
+
+        messages.push(message);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Message forwarded successfully',
+        data: { messages },
+    });
+});
+
+/**
+ * @desc    Get the edit history of a message
+ * @route   GET /api/messages/:messageId/history
+ * @access  Private (Room participants; platform admins for deleted messages)
+ */
+const getMessageHistory = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const isAdmin = req.user.role === 'admin';
+
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+        throw new NotFoundError('Message not found');
+    }
+
+    if (!isAdmin) {
+        const chatRoom = await ChatRoom.findById(message.chatRoom);
+
+        if (!chatRoom || !chatRoom.isParticipant(req.userId)) {
+            throw new ForbiddenError('You are not a member of this chat room');
+        }
+
+        // Deleted content is only visible to moderators
+        if (message.isDeleted) {
+            throw new NotFoundError('Message not found');
+        }
+    }
+
+    res.json({
+        success: true,
+        data: {
+            messageId: message._id,
+            isDeleted: message.isDeleted,
+            deletedAt: message.deletedAt,
+            history: message.getHistory(),
+        },
+    });
+});
+
+/**
+ * @desc    Get a time-limited download URL for a message's attachment
+ * @route   GET /api/messages/:messageId/media
+ * @access  Private (Room participants)
+ */
+const getMediaUrl = asyncHandler(async (req, res) => {
+    const { variant = 'original' } = req.query;
+
+    const { message } = await findAccessibleMessage(req.params.messageId, req.userId);
+
+    if (message.isDeleted || !message.media || !message.media.url) {
+        throw new NotFoundError('This message has no attachment');
+    }
+
+    const file = variant === 'original' ? message.media : message.media[variant];
+
+    if (!file || !file.url) {
+        throw new NotFoundError(`This attachment has no ${variant}`);
+    }
+
+    const { url, expiresAt } = await storage.getSignedUrl({
+        storage: message.media.storage,
+        key: file.key,
+        url: file.url,
+    });
+
+    res.json({
+        success: true,
+        data: { url, expiresAt },
+    });
+});
+
+/**
+ * @desc    Get messages that mention the current user
+ * @route   GET /api/messages/mentions
+ * @access  Private
+ */
+const getMentions = asyncHandler(async (req, res) => {
+    const { before } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    // Only rooms the user still belongs to
+    const chatRooms = await ChatRoom.find({ 'participants.user': req.userId }).select('_id').lean();
+    const chatRoomIds = chatRooms.map((r) => r._id);
+
+    const [messages, total] = await Promise.all([
+        Message.getMentions(req.userId, chatRoomIds, { page, limit, before }),
+        Message.countDocuments({ mentions: req.userId, chatRoom: { $in: chatRoomIds }, isDeleted: false }),
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            messages,
+            pagination: createPaginationMeta(total, page, limit),
+        },
+    });
+});
+
+/**
+ * @desc    Search messages across the user's chat rooms
+ * @route   GET /api/messages/search
+ * @access  Private
+ */
+const searchMessages = asyncHandler(async (req, res) => {
+    const { q, room, sender, from, to, messageType, hasMedia, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    let chatRoomIds;
+    if (room) {
+        const chatRoom = await ChatRoom.findById(room);
+
+        if (!chatRoom || !chatRoom.isParticipant(req.userId)) {
+            throw new ForbiddenError('You are not a member of this chat room');
+        }
+
+        chatRoomIds = [chatRoom._id];
+    } else {
+        const chatRooms = await ChatRoom.find({ 'participants.user': req.userId }).select('_id').lean();
+        chatRoomIds = chatRooms.map((r) => r._id);
+    }
+
+    const { messages, nextCursor } = await Message.search(chatRoomIds, q, {
+        sender,
+        from,
+        to,
+        messageType,
+        hasMedia: hasMedia === undefined ? null : hasMedia === 'true',
+        cursor,
+        limit,
+    });
+
+    const terms = getSearchTerms(q);
+    messages.forEach((message) => {
+        message.snippet = highlightSnippet(message.content, terms);
+    });
+
+    res.json({
+        success: true,
+        data: {
+            messages,
+            nextCursor,
+        },
+    });
+});
+
+/**
+ * @desc    Get a thread (root message and its replies)
+ * @route   GET /api/messages/:messageId/thread
+ * @access  Private
+ */
+const getThread = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { after } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    const { message } = await findAccessibleMessage(messageId, req.userId);
+
+    // Opening a reply shows its whole thread
+    const rootId = message.threadRoot || message._id;
+    const root = rootId.equals(message._id) ? message : await Message.findById(rootId);
+
+    if (!root) {
+        throw new NotFoundError('Thread not found');
+    }
+
+    await root.populate('sender', 'username avatar status');
+
+    const [replies, total] = await Promise.all([
+        Message.getThreadReplies(rootId, { page, limit, after }),
+        Message.countDocuments({ threadRoot: rootId, isDeleted: false }),
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            root,
+            replies,
+            pagination: createPaginationMeta(total, page, limit),
+        },
+    });
+});
+
+/**
+ * @desc    Add a reaction to a message
+ * @route   POST /api/messages/:messageId/reactions
+ * @access  Private
+ */
+const addReaction = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    const { message } = await findAccessibleMessage(messageId, req.userId);
+
+    if (message.isDeleted) {
+        throw new BadRequestError('Cannot react to deleted message');
+    }
+
+    if (!message.canAddReaction(emoji, config.messages.maxReactions)) {
+        throw new BadRequestError(
+            `A message can have at most ${config.messages.maxReactions} different reactions`
+        );
+    }
+
+    const updated = await Message.addReaction(message._id, req.userId, emoji, config.messages.maxReactions);
+
+    if (updated) {
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`room:${updated.chatRoom}`).emit('message:reaction', {
+                messageId: updated._id,
+                chatRoomId: updated.chatRoom,
+                userId: req.userId,
+                emoji,
+                action: 'add',
+                reactions: updated.getReactionSummary(),
+            });
+        }
+    }
+
+    res.json({
+        success: true,
+        data: { reactions: (updated || message).getReactionSummary() },
+    });
+});
+
+/**
+ * @desc    Remove a reaction from a message
+ * @route   DELETE /api/messages/:messageId/reactions
+ * @access  Private
+ */
+const removeReaction = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const emoji = req.body.emoji || req.query.emoji;
+
+    const { message } = await findAccessibleMessage(messageId, req.userId);
+
+    const updated = await Message.removeReaction(message._id, req.userId, emoji);
+
+    if (updated) {
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`room:${updated.chatRoom}`).emit('message:reaction', {
+                messageId: updated._id,
+                chatRoomId: updated.chatRoom,
+                userId: req.userId,
+                emoji,
+                action: 'remove',
+                reactions: updated.getReactionSummary(),
+            });
+        }
+    }
+
+    res.json({
+        success: true,
+        data: { reactions: (updated || message).getReactionSummary() },
+    });
+});
+
 /**
  * @desc    Get unread message count
  * @route   GET /api/messages/unread/count
@@ -288,5 +777,14 @@ module.exports = {
     editMessage,
     deleteMessage,
     markAsRead,
+    forwardMessage,
+    getReceipts,
+    getMessageHistory,
+    getMediaUrl,
+    getMentions,
+    searchMessages,
+    getThread,
+    addReaction,
+    removeReaction,
     getUnreadCount,
 };
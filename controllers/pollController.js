@@ -0,0 +1,189 @@
+const ChatRoom = require('../models/ChatRoom');
+const Message = require('../models/Message');
+const chatHandler = require('../socket/chatHandler');
+const { userSockets } = require('../socket');
+const { asyncHandler, NotFoundError, ForbiddenError, BadRequestError } = require('../middleware');
+
+/**
+ * Load a poll message in a room the user belongs to
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<object>} - { message, chatRoom }
+ */
+const findPoll = async (messageId, userId) => {
+    const message = await Message.findOne({ _id: messageId, messageType: 'poll', isDeleted: false });
+
+    if (!message) {
+        throw new NotFoundError('Poll not found');
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom);
+
+    if (!chatRoom || !chatRoom.isParticipant(userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    return { message, chatRoom };
+};
+
+/**
+ * Broadcast the new tallies of a poll to its room
+ * @param {object} req - Express request
+ * @param {Message} message - Poll message
+ */
+const broadcastPollUpdate = (req, message) => {
+    const io = req.app.get('io');
+
+    if (io) {
+        io.to(`room:${message.chatRoom}`).emit('poll:updated', {
+            messageId: message._id,
+            chatRoomId: message.chatRoom,
+            poll: message.getPollSummary(),
+        });
+    }
+};
+
+/**
+ * @desc    Create a poll
+ * @route   POST /api/messages/poll
+ * @access  Private
+ */
+const createPoll = asyncHandler(async (req, res) => {
+    const { chatRoomId, question, options, allowMultiple, anonymous, closesAt } = req.body;
+
+    // Same access checks as sendMessage
+    const chatRoom = await ChatRoom.findById(chatRoomId);
+
+    if (!chatRoom) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    if (!chatRoom.isParticipant(req.userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('This chat room has been deactivated');
+    }
+
+    const message = await Message.create({
+        chatRoom: chatRoomId,
+        sender: req.userId,
+        content: question,
+        messageType: 'poll',
+        poll: {
+            question,
+            options: options.map((text) => ({ text })),
+            allowMultiple: !!allowMultiple,
+            anonymous: !!anonymous,
+            ...(closesAt && { closesAt }),
+        },
+        expiresAt: chatRoom.getMessageExpiry(),
+    });
+
+    chatRoom.lastMessage = message._id;
+    await chatRoom.save();
+
+    await message.populate('sender', 'username avatar');
+
+    const io = req.app.get('io');
+    if (io) chatHandler.broadcastNewMessage(io, userSockets, message);
+
+    res.status(201).json({
+        success: true,
+        data: { message },
+    });
+});
+
+/**
+ * @desc    Vote in a poll (replaces the user's earlier choice)
+ * @route   POST /api/messages/:messageId/poll/vote
+ * @access  Private
+ */
+const vote = asyncHandler(async (req, res) => {
+    const { message } = await findPoll(req.params.messageId, req.userId);
+
+    if (message.isPollClosed()) {
+        throw new BadRequestError('This poll is closed');
+    }
+
+    const error = message.validateVote(req.body.optionIds);
+    if (error) {
+        throw new BadRequestError(error);
+    }
+
+    // The poll may have closed since it was loaded
+    const updated = await Message.castVote(message._id, req.userId, req.body.optionIds);
+    if (!updated) {
+        throw new BadRequestError('This poll is closed');
+    }
+
+    broadcastPollUpdate(req, updated);
+
+    res.json({
+        success: true,
+        data: { messageId: updated._id, poll: updated.getPollSummary(req.userId) },
+    });
+});
+
+/**
+ * @desc    Retract the user's vote
+ * @route   DELETE /api/messages/:messageId/poll/vote
+ * @access  Private
+ */
+const retractVote = asyncHandler(async (req, res) => {
+    const { message } = await findPoll(req.params.messageId, req.userId);
+
+    if (message.isPollClosed()) {
+        throw new BadRequestError('This poll is closed');
+    }
+
+    const updated = await Message.retractVote(message._id, req.userId);
+    if (!updated) {
+        throw new BadRequestError(message.isPollClosed()
+            ? 'This poll is closed'
+            : 'You have not voted in this poll');
+    }
+
+    broadcastPollUpdate(req, updated);
+
+    res.json({
+        success: true,
+        data: { messageId: updated._id, poll: updated.getPollSummary(req.userId) },
+    });
+});
+
+/**
+ * @desc    Close a poll
+ * @route   POST /api/messages/:messageId/poll/close
+ * @access  Private (Poll creator or group admin)
+ */
+const closePoll = asyncHandler(async (req, res) => {
+    const { message, chatRoom } = await findPoll(req.params.messageId, req.userId);
+
+    const isCreator = message.sender.toString() === req.userId.toString();
+    if (!isCreator && !chatRoom.isAdmin(req.userId)) {
+        throw new ForbiddenError('Only the poll creator or an admin can close this poll');
+    }
+
+    if (message.isPollClosed()) {
+        throw new BadRequestError('This poll is already closed');
+    }
+
+    message.poll.closedAt = new Date();
+    await message.save();
+    broadcastPollUpdate(req, message);
+
+    res.json({
+        success: true,
+        message: 'Poll closed',
+        data: { messageId: message._id, poll: message.getPollSummary(req.userId) },
+    });
+});
+
+module.exports = {
+    createPoll,
+    vote,
+    retractVote,
+    closePoll,
+};
@@ -0,0 +1,143 @@
+const ChatRoom = require('../models/ChatRoom');
+const Message = require('../models/Message');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const config = require('../config');
+const { asyncHandler, NotFoundError, ForbiddenError, BadRequestError } = require('../middleware');
+
+/**
+ * Update a scheduled message owned by the user, only while it is still pending.
+ * The status check is part of the update so it cannot race the scheduler.
+ * @param {string} scheduledId - Scheduled message ID
+ * @param {string} userId - Requesting user ID
+ * @param {object} update - Fields to set
+ * @returns {Promise<ScheduledMessage>}
+ */
+const updatePendingScheduledMessage = async (scheduledId, userId, update) => {
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+        { _id: scheduledId, sender: userId, status: 'pending' },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    if (scheduled) return scheduled;
+
+    const existing = await ScheduledMessage.findOne({ _id: scheduledId, sender: userId });
+
+    if (!existing) {
+        throw new NotFoundError('Scheduled message not found');
+    }
+
+    throw new BadRequestError(`Scheduled message is already ${existing.status}`);
+};
+
+/**
+ * @desc    Schedule a message
+ * @route   POST /api/messages/scheduled
+ * @access  Private
+ */
+const createScheduledMessage = asyncHandler(async (req, res) => {
+    const { chatRoomId, content, replyTo, sendAt } = req.body;
+
+    const chatRoom = await ChatRoom.findById(chatRoomId);
+
+    if (!chatRoom) {
+        throw new NotFoundError('Chat room not found');
+    }
+
+    if (!chatRoom.isParticipant(req.userId)) {
+        throw new ForbiddenError('You are not a member of this chat room');
+    }
+
+    if (!chatRoom.isActive) {
+        throw new BadRequestError('This chat room has been deactivated');
+    }
+
+    if (replyTo && !(await Message.resolveThreadRoot(chatRoomId, replyTo))) {
+        throw new BadRequestError('Reply target not found in this chat room');
+    }
+
+    const pendingCount = await ScheduledMessage.countDocuments({ sender: req.userId, status: 'pending' });
+
+    if (pendingCount >= config.scheduledMessages.maxPendingPerUser) {
+        throw new BadRequestError(
+            `You can have at most ${config.scheduledMessages.maxPendingPerUser} scheduled messages`
+        );
+    }
+
+    const scheduled = await ScheduledMessage.create({
+        sender: req.userId,
+        chatRoom: chatRoomId,
+        content,
+        sendAt,
+        ...(replyTo && { replyTo }),
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Message scheduled successfully',
+        data: { scheduledMessage: scheduled },
+    });
+});
+
+/**
+ * @desc    Get the user's scheduled messages
+ * @route   GET /api/messages/scheduled
+ * @access  Private
+ */
+const getScheduledMessages = asyncHandler(async (req, res) => {
+    const { status = 'pending', chatRoomId } = req.query;
+
+    const query = { sender: req.userId, status };
+    if (chatRoomId) query.chatRoom = chatRoomId;
+
+    const scheduledMessages = await ScheduledMessage.find(query)
+        .sort({ sendAt: 1 })
+        .populate('chatRoom', 'name type');
+
+    res.json({
+        success: true,
+        data: { scheduledMessages },
+    });
+});
+
+/**
+ * @desc    Edit a scheduled message
+ * @route   PUT /api/messages/scheduled/:scheduledId
+ * @access  Private (Sender only)
+ */
+const updateScheduledMessage = asyncHandler(async (req, res) => {
+    const { content, sendAt } = req.body;
+
+    const update = {};
+    if (content !== undefined) update.content = content;
+    if (sendAt) update.sendAt = sendAt;
+
+    const scheduled = await updatePendingScheduledMessage(req.params.scheduledId, req.userId, update);
+
+    res.json({
+        success: true,
+        message: 'Scheduled message updated successfully',
+        data: { scheduledMessage: scheduled },
+    });
+});
+
+/**
+ * @desc    Cancel a scheduled message
+ * @route   DELETE /api/messages/scheduled/:scheduledId
+ * @access  Private (Sender only)
+ */
+const cancelScheduledMessage = asyncHandler(async (req, res) => {
+    await updatePendingScheduledMessage(req.params.scheduledId, req.userId, { status: 'cancelled' });
+
+    res.json({
+        success: true,
+        message: 'Scheduled message cancelled',
+    });
+});
+
+module.exports = {
+    createScheduledMessage,
+    getScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
  * Authentication Middleware
@@ -31,6 +32,16 @@ const auth = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, config.jwtSecret);
 
+        // Reject tokens whose session has been revoked or has expired
+        const session = await Session.findActive(decoded.sessionId);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked.',
+            });
+        }
+
         // Find user and attach to request
         const user = await User.findById(decoded.userId).select('-password');
 
@@ -41,9 +52,17 @@ const auth = async (req, res, next) => {
             });
         }
 
+        if (user.isSuspended) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account has been suspended.',
+            });
+        }
+
         // Attach user to request object
         req.user = user;
         req.userId = user._id;
+        req.sessionId = session._id;
 
         next();
     } catch (error) {
@@ -85,11 +104,13 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = jwt.verify(token, config.jwtSecret);
-            const user = await User.findById(decoded.userId).select('-password');
+            const session = await Session.findActive(decoded.sessionId);
+            const user = session && await User.findById(decoded.userId).select('-password');
 
-            if (user) {
+            if (user && !user.isSuspended) {
                 req.user = user;
                 req.userId = user._id;
+                req.sessionId = session._id;
             }
         }
 
@@ -100,6 +121,39 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Verified Email Middleware
+ * Blocks unverified accounts when email verification is required.
+ * Must be used after auth.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (config.requireEmailVerification && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first.',
+        });
+    }
+
+    next();
+};
+
+/**
+ * Role Middleware Factory
+ * Allows only users with one of the given platform roles. Must be used after auth.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Insufficient permissions.',
+        });
+    }
+
+    next();
+};
+
 /**
  * Socket.IO Authentication Middleware
  * Verifies JWT token for socket connections
@@ -113,15 +167,26 @@ const socketAuth = async (socket, next) => {
         }
 
         const decoded = jwt.verify(token, config.jwtSecret);
+        const session = await Session.findActive(decoded.sessionId);
+
+        if (!session) {
+            return next(new Error('Session has expired or been revoked'));
+        }
+
         const user = await User.findById(decoded.userId).select('-password');
 
         if (!user) {
             return next(new Error('User not found'));
         }
 
+        if (user.isSuspended) {
+            return next(new Error('Account suspended'));
+        }
+
         // Attach user to socket
         socket.user = user;
         socket.userId = user._id.toString();
+        socket.sessionId = session._id.toString();
 
         next();
     } catch (error) {
@@ -133,5 +198,7 @@ const socketAuth = async (socket, next) => {
 module.exports = {
     auth,
     optionalAuth,
+    requireVerifiedEmail,
+    requireRole,
     socketAuth,
 };
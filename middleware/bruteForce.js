@@ -0,0 +1,161 @@
+const config = require('../config');
+const MemoryStore = require('../utils/memoryStore');
+const { TooManyRequestsError } = require('./errorHandler');
+
+// Shared default store for all guards
+const defaultStore = new MemoryStore();
+
+/**
+ * Calculate when a key becomes usable again after a failure
+ * Exponential backoff: minWait, 2x, 4x, ... capped at maxWait
+ * @param {number} count - Failures within the lifetime window
+ * @param {object} options - Guard options
+ * @returns {number} - Timestamp (ms) until which the key is blocked, 0 if not blocked
+ */
+const calculateBlockedUntil = (count, options) => {
+    const overLimit = count - options.freeRetries;
+
+    if (overLimit <= 0) return 0;
+
+    const wait = Math.min(options.minWait * 2 ** (overLimit - 1), options.maxWait);
+    return Date.now() + wait;
+};
+
+/**
+ * Create a brute-force guard middleware
+ *
+ * Each request is checked against one or more counters (e.g. per IP and per
+ * account). Once a response has been sent, failed requests (4xx) increment the
+ * counters and successful ones reset the counters listed in resetKeys. IP
+ * counters should not be reset, or one valid login would wipe out the failures
+ * an attacker spread across other accounts. With countAll, every request is
+ * counted (useful for endpoints like registration).
+ *
+ * @param {object} options - Guard options
+ * @param {string} options.prefix - Namespace for store keys
+ * @param {Array<Function>} options.keys - Functions (req) => key part (falsy to skip)
+ * @param {Array<Function>} options.resetKeys - Subset of keys cleared on success
+ * @param {object} options.store - Store implementing get/set/delete
+ * @param {boolean} options.countAll - Count every request instead of only failures
+ * @returns {Function} - Express middleware
+ */
+const createBruteForceGuard = (options) => {
+    const settings = {
+        store: defaultStore,
+        countAll: false,
+        resetKeys: [],
+        freeRetries: config.bruteForce.freeRetries,
+        minWait: config.bruteForce.minWait,
+        maxWait: config.bruteForce.maxWait,
+        lifetime: config.bruteForce.lifetime,
+        ...options,
+    };
+
+    const { store, prefix, keys, resetKeys, countAll } = settings;
+
+    const buildKeys = (req, getters) => getters
+        .map((getKey) => getKey(req))
+        .filter(Boolean)
+        .map((key) => `${prefix}:${key}`);
+
+    const recordFailure = async (key) => {
+        const record = (await store.get(key)) || { count: 0, blockedUntil: 0 };
+
+        record.count += 1;
+        record.blockedUntil = calculateBlockedUntil(record.count, settings);
+
+        await store.set(key, record, settings.lifetime);
+    };
+
+    return async (req, res, next) => {
+        try {
+            const storeKeys = buildKeys(req, keys);
+
+            // Reject while any counter is still backing off
+            const records = await Promise.all(storeKeys.map((key) => store.get(key)));
+            const blockedUntil = Math.max(0, ...records.map((r) => (r ? r.blockedUntil : 0)));
+
+            if (blockedUntil > Date.now()) {
+                const retryAfter = Math.ceil((blockedUntil - Date.now()) / 1000);
+                throw new TooManyRequestsError(
+                    `Too many attempts. Please try again in ${retryAfter} seconds.`,
+                    retryAfter
+                );
+            }
+
+            // Update counters once the outcome is known
+            res.on('finish', () => {
+                const failed = res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429;
+                const succeeded = res.statusCode < 400;
+
+                let update = null;
+                if (countAll || failed) {
+                    update = Promise.all(storeKeys.map(recordFailure));
+                } else if (succeeded) {
+                    update = Promise.all(buildKeys(req, resetKeys).map((key) => store.delete(key)));
+                }
+
+                if (update) {
+                    update.catch((error) => console.error('Brute-force store error:', error));
+                }
+            });
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Normalize the email from the request body for use as a counter key
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const emailKey = (req) => {
+    const { email } = req.body || {};
+    return typeof email === 'string' && email.trim() ? `account:${email.trim().toLowerCase()}` : null;
+};
+
+/**
+ * Client IP counter key
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const ipKey = (req) => `ip:${req.ip}`;
+
+/**
+ * Login guard: per-IP and per-account failure counters
+ * A successful login only clears its own account's counter.
+ */
+const loginGuard = createBruteForceGuard({
+    prefix: 'login',
+    keys: [ipKey, emailKey],
+    resetKeys: [emailKey],
+});
+
+/**
+ * Two-factor verification guard: per-IP failure counter
+ */
+const twoFactorGuard = createBruteForceGuard({
+    prefix: '2fa',
+    keys: [ipKey],
+});
+
+/**
+ * Registration guard: counts every attempt per IP
+ */
+const registerGuard = createBruteForceGuard({
+    prefix: 'register',
+    keys: [ipKey],
+    countAll: true,
+    freeRetries: config.bruteForce.registerFreeRetries,
+});
+
+module.exports = {
+    createBruteForceGuard,
+    loginGuard,
+    twoFactorGuard,
+    registerGuard,
+    MemoryStore,
+};
@@ -50,6 +50,13 @@ class ValidationError extends AppError {
     }
 }
 
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests', retryAfter = null) {
+        super(message, 429);
+        this.retryAfter = retryAfter; // Seconds until the client may retry
+    }
+}
+
 class InternalServerError extends AppError {
     constructor(message = 'Internal server error') {
         super(message, 500);
@@ -60,6 +67,11 @@ class InternalServerError extends AppError {
  * Global Error Handler Middleware
  */
 const errorHandler = (err, req, res, next) => {
+    // Response already streaming (e.g. a download) - let Express close it
+    if (res.headersSent) {
+        return next(err);
+    }
+
     // Default error values
     err.statusCode = err.statusCode || 500;
     err.status = err.status || 'error';
@@ -111,6 +123,11 @@ const errorHandler = (err, req, res, next) => {
         }
     }
 
+    // Tell rate-limited clients when to retry
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
     // Send error response
     if (process.env.NODE_ENV === 'development') {
         return res.status(error.statusCode || 500).json({
@@ -118,6 +135,7 @@ const errorHandler = (err, req, res, next) => {
             status: error.status,
             message: error.message,
             errors: error.errors,
+            retryAfter: error.retryAfter,
             stack: err.stack,
         });
     }
@@ -130,6 +148,7 @@ const errorHandler = (err, req, res, next) => {
             status: error.status,
             message: error.message,
             errors: error.errors,
+            retryAfter: error.retryAfter,
         });
     }
 
@@ -166,6 +185,7 @@ module.exports = {
     NotFoundError,
     ConflictError,
     ValidationError,
+    TooManyRequestsError,
     InternalServerError,
     errorHandler,
     notFound,
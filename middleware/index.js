@@ -1,4 +1,10 @@
-const { auth, optionalAuth, socketAuth } = require('./auth');
+const {
+    auth,
+    optionalAuth,
+    requireVerifiedEmail,
+    requireRole,
+    socketAuth,
+} = require('./auth');
 const {
     errorHandler,
     notFound,
@@ -8,13 +14,25 @@ const {
     UnauthorizedError,
     ForbiddenError,
     NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    InternalServerError,
 } = require('./errorHandler');
-const { upload, uploadImage, deleteFile, getFileUrl } = require('./upload');
+const { loginGuard, twoFactorGuard, registerGuard } = require('./bruteForce');
+const {
+    authLimiter,
+    accountLimiter,
+    refreshLimiter,
+    messageLimiter,
+    uploadLimiter,
+} = require('./rateLimit');
+const { upload, uploadImage, enforceFileSizeLimit, deleteFile, getFileKey } = require('./upload');
 const {
     validate,
     authValidation,
     chatRoomValidation,
     messageValidation,
+    adminValidation,
     paramValidation,
 } = require('./validation');
 
@@ -22,6 +40,8 @@ module.exports = {
     // Auth
     auth,
     optionalAuth,
+    requireVerifiedEmail,
+    requireRole,
     socketAuth,
 
     // Error handling
@@ -33,17 +53,34 @@ module.exports = {
     UnauthorizedError,
     ForbiddenError,
     NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    InternalServerError,
+
+    // Brute-force protection
+    loginGuard,
+    twoFactorGuard,
+    registerGuard,
+
+    // Rate limiting
+    authLimiter,
+    accountLimiter,
+    refreshLimiter,
+    messageLimiter,
+    uploadLimiter,
 
     // Upload
     upload,
     uploadImage,
+    enforceFileSizeLimit,
     deleteFile,
-    getFileUrl,
+    getFileKey,
 
     // Validation
     validate,
     authValidation,
     chatRoomValidation,
     messageValidation,
+    adminValidation,
     paramValidation,
 };
@@ -0,0 +1,97 @@
+const config = require('../config');
+const { parseRefreshToken } = require('../utils/jwt');
+const TokenBucket = require('../utils/tokenBucket');
+const MemoryStore = require('../utils/memoryStore');
+const { TooManyRequestsError } = require('./errorHandler');
+
+// Shared default store for all REST limiters
+const defaultStore = new MemoryStore();
+
+/**
+ * Create a token bucket rate limiting middleware
+ * @param {object} options - Limiter options
+ * @param {string} options.name - Route group name (namespaces the buckets)
+ * @param {number} options.capacity - Burst size
+ * @param {number} options.interval - Time (ms) to refill a full bucket
+ * @param {Function} options.key - (req) => bucket key; defaults to user ID, then IP
+ * @param {object} options.store - Store implementing get/set/delete
+ * @returns {Function} - Express middleware
+ */
+const createRateLimiter = (options) => {
+    const {
+        name,
+        capacity,
+        interval,
+        key = (req) => (req.userId ? `user:${req.userId}` : `ip:${req.ip}`),
+        store = defaultStore,
+    } = options;
+
+    const bucket = new TokenBucket({ capacity, interval, store });
+
+    return async (req, res, next) => {
+        if (!config.rateLimit.enabled) return next();
+
+        try {
+            const result = await bucket.consume(`${name}:${key(req)}`);
+
+            res.set('RateLimit-Limit', String(capacity));
+            res.set('RateLimit-Remaining', String(result.remaining));
+
+            if (!result.allowed) {
+                const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+                throw new TooManyRequestsError(
+                    `Rate limit exceeded. Please try again in ${retryAfter} seconds.`,
+                    retryAfter
+                );
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Route group limiters
+ */
+const authLimiter = createRateLimiter({
+    name: 'auth',
+    ...config.rateLimit.auth,
+    key: (req) => `ip:${req.ip}`,
+});
+
+// Authenticated account routes, per user
+const accountLimiter = createRateLimiter({
+    name: 'account',
+    ...config.rateLimit.account,
+});
+
+// Token refresh has no user yet, so go by the session the token names
+const refreshLimiter = createRateLimiter({
+    name: 'refresh',
+    ...config.rateLimit.account,
+    key: (req) => {
+        const parsed = parseRefreshToken(req.body && req.body.refreshToken);
+        return parsed ? `session:${parsed.sessionId}` : `ip:${req.ip}`;
+    },
+});
+
+const messageLimiter = createRateLimiter({
+    name: 'messages',
+    ...config.rateLimit.messages,
+});
+
+const uploadLimiter = createRateLimiter({
+    name: 'uploads',
+    ...config.rateLimit.uploads,
+});
+
+module.exports = {
+    createRateLimiter,
+    authLimiter,
+    accountLimiter,
+    refreshLimiter,
+    messageLimiter,
+    uploadLimiter,
+};
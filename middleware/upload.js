@@ -5,11 +5,32 @@ const config = require('../config');
 const { BadRequestError } = require('./errorHandler');
 
 // Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads');
+const uploadsDir = path.resolve(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+/**
+ * Classify a MIME type into an upload kind
+ * @param {string} mimetype - File MIME type
+ * @returns {string} - 'image', 'audio' or 'file'
+ */
+const getFileKind = (mimetype) => {
+    if (config.upload.allowedImageTypes.includes(mimetype)) return 'image';
+    if (config.upload.allowedAudioTypes.includes(mimetype)) return 'audio';
+    return 'file';
+};
+
+/**
+ * Get the size limit for an upload kind
+ * @param {string} kind - Upload kind from getFileKind
+ * @returns {number} - Limit in bytes
+ */
+const getMaxFileSize = (kind) => config.upload.maxFileSizes[kind] || config.upload.maxFileSize;
+
+// Multer needs a single hard cap; per-kind limits are checked after the upload
+const largestFileSize = Math.max(config.upload.maxFileSize, ...Object.values(config.upload.maxFileSizes));
+
 /**
  * Multer storage configuration
  * Stores files locally with unique names
@@ -17,13 +38,8 @@ if (!fs.existsSync(uploadsDir)) {
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         // Organize uploads by type
-        let uploadPath = uploadsDir;
-
-        if (file.mimetype.startsWith('image/')) {
-            uploadPath = path.join(uploadsDir, 'images');
-        } else {
-            uploadPath = path.join(uploadsDir, 'files');
-        }
+        const folders = { image: 'images', audio: 'audio', file: 'files' };
+        const uploadPath = path.join(uploadsDir, folders[getFileKind(file.mimetype)]);
 
         // Create directory if it doesn't exist
         if (!fs.existsSync(uploadPath)) {
@@ -73,10 +89,31 @@ const upload = multer({
     storage,
     fileFilter,
     limits: {
-        fileSize: config.upload.maxFileSize,
+        fileSize: largestFileSize,
     },
 });
 
+/**
+ * Enforce the per-kind size limit on req.file
+ * Runs after `upload`, which only applies the largest limit
+ */
+const enforceFileSizeLimit = (req, res, next) => {
+    if (!req.file) return next();
+
+    const kind = getFileKind(req.file.mimetype);
+    const limit = getMaxFileSize(kind);
+
+    if (req.file.size <= limit) return next();
+
+    const error = new BadRequestError(`${kind[0].toUpperCase()}${kind.slice(1)} files must be at most ${Math.floor(limit / (1024 * 1024))}MB`);
+
+    if (!req.file.path) return next(error);
+
+    return deleteFile(req.file.path)
+        .catch(() => {})
+        .then(() => next(error));
+};
+
 /**
  * Image-only upload middleware
  */
@@ -84,7 +121,7 @@ const uploadImage = multer({
     storage,
     fileFilter: imageFilter,
     limits: {
-        fileSize: config.upload.maxFileSize,
+        fileSize: getMaxFileSize('image'),
     },
 });
 
@@ -98,7 +135,7 @@ const uploadToMemory = multer({
     storage: memoryStorage,
     fileFilter,
     limits: {
-        fileSize: config.upload.maxFileSize,
+        fileSize: largestFileSize,
     },
 });
 
@@ -120,19 +157,21 @@ const deleteFile = (filePath) => {
 };
 
 /**
- * Get file URL for local storage
- * @param {object} file - Multer file object
- * @returns {string} - File URL
+ * Storage key for an uploaded file: its path relative to the uploads directory
+ * @param {object} file - Multer file object (or anything with a `path`)
+ * @returns {string} - e.g. images/cat-123.jpg
  */
-const getFileUrl = (file) => {
-    const relativePath = file.path.split('uploads')[1].replace(/\\/g, '/');
-    return `/uploads${relativePath}`;
+const getFileKey = (file) => {
+    return path.relative(uploadsDir, file.path).split(path.sep).join('/');
 };
 
 module.exports = {
     upload,
     uploadImage,
+    enforceFileSizeLimit,
+    getFileKind,
     uploadToMemory,
     deleteFile,
-    getFileUrl,
+    getFileKey,
+    uploadsDir,
 };
@@ -1,5 +1,6 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, check, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { isEmoji } = require('../utils');
 
 /**
  * Validation middleware - checks for validation errors
@@ -65,6 +66,15 @@ const authValidation = {
         validate,
     ],
 
+    refresh: [
+        body('refreshToken')
+            .notEmpty()
+            .withMessage('Refresh token is required')
+            .isString()
+            .withMessage('Refresh token must be a string'),
+        validate,
+    ],
+
     updateProfile: [
         body('username')
             .optional()
@@ -92,6 +102,61 @@ const authValidation = {
             .withMessage('New password must be at least 6 characters'),
         validate,
     ],
+
+    forgotPassword: [
+        body('email')
+            .trim()
+            .notEmpty()
+            .withMessage('Email is required')
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .normalizeEmail(),
+        validate,
+    ],
+
+    resetPassword: [
+        body('token')
+            .notEmpty()
+            .withMessage('Reset token is required')
+            .isString()
+            .withMessage('Reset token must be a string'),
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required')
+            .isLength({ min: 6 })
+            .withMessage('Password must be at least 6 characters'),
+        validate,
+    ],
+
+    twoFactorCode: [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Authentication code is required'),
+        validate,
+    ],
+
+    twoFactorVerify: [
+        body('challengeToken')
+            .notEmpty()
+            .withMessage('Challenge token is required'),
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Authentication code is required'),
+        validate,
+    ],
+
+    twoFactorDisable: [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Authentication code is required'),
+        validate,
+    ],
 };
 
 /**
@@ -131,6 +196,10 @@ const chatRoomValidation = {
             .trim()
             .isLength({ max: 500 })
             .withMessage('Description cannot exceed 500 characters'),
+        body('retention')
+            .optional()
+            .isIn(['off', '24h', '7d', '90d'])
+            .withMessage('Retention must be one of off, 24h, 7d or 90d'),
         validate,
     ],
 
@@ -154,6 +223,16 @@ const chatRoomValidation = {
             .withMessage('Invalid user ID'),
         validate,
     ],
+
+    pin: [
+        param('roomId')
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        validate,
+    ],
 };
 
 /**
@@ -171,6 +250,125 @@ const messageValidation = {
             .trim()
             .isLength({ max: 5000 })
             .withMessage('Message cannot exceed 5000 characters'),
+        body('replyTo')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid reply target ID'),
+        validate,
+    ],
+
+    createPoll: [
+        body('chatRoomId')
+            .notEmpty()
+            .withMessage('Chat room ID is required')
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        body('question')
+            .trim()
+            .isLength({ min: 1, max: 300 })
+            .withMessage('Question must be between 1 and 300 characters'),
+        body('options')
+            .isArray({ min: 2, max: 10 })
+            .withMessage('A poll needs between 2 and 10 options'),
+        body('options.*')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Each option must be between 1 and 100 characters'),
+        body('allowMultiple')
+            .optional()
+            .isBoolean()
+            .withMessage('allowMultiple must be a boolean'),
+        body('anonymous')
+            .optional()
+            .isBoolean()
+            .withMessage('anonymous must be a boolean'),
+        body('closesAt')
+            .optional()
+            .isISO8601()
+            .withMessage('Close time must be a valid date')
+            .custom((value) => new Date(value) > new Date())
+            .withMessage('Close time must be in the future'),
+        validate,
+    ],
+
+    mediaUrl: [
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        query('variant')
+            .optional()
+            .isIn(['original', 'thumbnail', 'preview'])
+            .withMessage('Variant must be original, thumbnail or preview'),
+        validate,
+    ],
+
+    vote: [
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        body('optionIds')
+            .isArray({ min: 1, max: 10 })
+            .withMessage('Choose at least one option'),
+        body('optionIds.*')
+            .isMongoId()
+            .withMessage('Invalid option ID'),
+        validate,
+    ],
+
+    scheduleMessage: [
+        body('chatRoomId')
+            .notEmpty()
+            .withMessage('Chat room ID is required')
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        body('content')
+            .trim()
+            .notEmpty()
+            .withMessage('Message content is required')
+            .isLength({ max: 5000 })
+            .withMessage('Message cannot exceed 5000 characters'),
+        body('replyTo')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid reply target ID'),
+        body('sendAt')
+            .isISO8601()
+            .withMessage('Send time must be a valid date')
+            .custom((value) => new Date(value) > new Date())
+            .withMessage('Send time must be in the future'),
+        validate,
+    ],
+
+    getScheduledMessages: [
+        query('status')
+            .optional()
+            .isIn(['pending', 'sent', 'failed', 'cancelled'])
+            .withMessage('Invalid status'),
+        query('chatRoomId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        validate,
+    ],
+
+    updateScheduledMessage: [
+        param('scheduledId')
+            .isMongoId()
+            .withMessage('Invalid scheduled message ID'),
+        body('content')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Message content cannot be empty')
+            .isLength({ max: 5000 })
+            .withMessage('Message cannot exceed 5000 characters'),
+        body('sendAt')
+            .optional()
+            .isISO8601()
+            .withMessage('Send time must be a valid date')
+            .custom((value) => new Date(value) > new Date())
+            .withMessage('Send time must be in the future'),
         validate,
     ],
 
@@ -201,6 +399,150 @@ const messageValidation = {
             .withMessage('Message cannot exceed 5000 characters'),
         validate,
     ],
+
+    getMentions: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('before')
+            .optional()
+            .isISO8601()
+            .withMessage('Before must be a valid date'),
+        validate,
+    ],
+
+    search: [
+        query('q')
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Search query must be between 1 and 200 characters'),
+        query('room')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        query('sender')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid sender ID'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('From must be a valid date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('To must be a valid date'),
+        query('messageType')
+            .optional()
+            .isIn(['text', 'image', 'file', 'audio', 'system', 'poll'])
+            .withMessage('Invalid message type'),
+        query('hasMedia')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('hasMedia must be true or false'),
+        query('cursor')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid cursor'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage('Limit must be between 1 and 50'),
+        validate,
+    ],
+
+    forward: [
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        body('chatRoomIds')
+            .isArray({ min: 1, max: 10 })
+            .withMessage('Provide between 1 and 10 target chat rooms'),
+        body('chatRoomIds.*')
+            .isMongoId()
+            .withMessage('Invalid chat room ID'),
+        validate,
+    ],
+
+    getThread: [
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('after')
+            .optional()
+            .isISO8601()
+            .withMessage('After must be a valid date'),
+        validate,
+    ],
+
+    reaction: [
+        param('messageId')
+            .isMongoId()
+            .withMessage('Invalid message ID'),
+        check('emoji') // body for POST, body or query for DELETE
+            .isString()
+            .withMessage('Emoji is required')
+            .trim()
+            .isLength({ min: 1, max: 32 })
+            .withMessage('Emoji must be between 1 and 32 characters')
+            // Reactions stored before emojis were validated can still be removed
+            .if((value, { req }) => req.method === 'POST')
+            .custom(isEmoji)
+            .withMessage('Reaction must be a single emoji'),
+        validate,
+    ],
+};
+
+/**
+ * Admin validation rules
+ */
+const adminValidation = {
+    getUsers: [
+        query('role')
+            .optional()
+            .isIn(['user', 'moderator', 'admin'])
+            .withMessage('Invalid role'),
+        query('suspended')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('Suspended must be true or false'),
+        validate,
+    ],
+
+    updateRole: [
+        param('userId')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+        body('role')
+            .isIn(['user', 'moderator', 'admin'])
+            .withMessage('Role must be one of user, moderator, admin'),
+        validate,
+    ],
+
+    suspend: [
+        param('userId')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters'),
+        validate,
+    ],
 };
 
 /**
@@ -220,5 +562,6 @@ module.exports = {
     authValidation,
     chatRoomValidation,
     messageValidation,
+    adminValidation,
     paramValidation,
 };
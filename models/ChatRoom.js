@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+/**
+ * Disappearing message retention periods (ms)
+ */
+const RETENTION_PERIODS = {
+    off: null,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000,
+};
+
 /**
  * ChatRoom Schema
  * Supports both private (1-on-1) and group chats
@@ -58,6 +68,31 @@ const chatRoomSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Message',
         },
+        // Pinned messages, most recently pinned last
+        pinnedMessages: [
+            {
+                _id: false,
+                message: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Message',
+                    required: true,
+                },
+                pinnedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                pinnedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        // Disappearing messages: how long new messages are kept
+        retention: {
+            type: String,
+            enum: Object.keys(RETENTION_PERIODS),
+            default: 'off',
+        },
         isActive: {
             type: Boolean,
             default: true,
@@ -96,6 +131,37 @@ chatRoomSchema.methods.isAdmin = function (userId) {
     return participant && participant.role === 'admin';
 };
 
+/**
+ * Get the expiry time for a message created now under the room's retention
+ * @param {Date} from - Message creation time
+ * @returns {Date|undefined} - Undefined when retention is off
+ */
+chatRoomSchema.methods.getMessageExpiry = function (from = new Date()) {
+    const period = RETENTION_PERIODS[this.retention];
+    return period ? new Date(from.getTime() + period) : undefined;
+};
+
+/**
+ * Check if a user may pin and unpin messages
+ * Admins in groups, either participant in private chats
+ * @param {string} userId - User ID to check
+ * @returns {boolean}
+ */
+chatRoomSchema.methods.canManagePins = function (userId) {
+    return this.type === 'group' ? this.isAdmin(userId) : this.isParticipant(userId);
+};
+
+/**
+ * Check if a message is pinned in the room
+ * @param {string} messageId - Message ID
+ * @returns {boolean}
+ */
+chatRoomSchema.methods.isPinned = function (messageId) {
+    return this.pinnedMessages.some(
+        (p) => p.message.toString() === messageId.toString()
+    );
+};
+
 /**
  * Add a participant to the room
  * @param {string} userId - User ID to add
@@ -117,6 +183,33 @@ chatRoomSchema.methods.removeParticipant = function (userId) {
     );
 };
 
+/**
+ * Remove a participant, handing the admin role to another member if they
+ * were the only admin. Deactivates the room once nobody is left.
+ * @param {string} userId - User ID leaving the room
+ */
+chatRoomSchema.methods.leave = function (userId) {
+    // If user is the only admin, assign new admin
+    if (this.isAdmin(userId)) {
+        const adminCount = this.participants.filter((p) => p.role === 'admin').length;
+        if (adminCount <= 1 && this.participants.length > 1) {
+            const newAdmin = this.participants.find(
+                (p) => p.user.toString() !== userId.toString()
+            );
+            if (newAdmin) {
+                newAdmin.role = 'admin';
+            }
+        }
+    }
+
+    this.removeParticipant(userId);
+
+    // If no participants left, deactivate the room
+    if (this.participants.length === 0) {
+        this.isActive = false;
+    }
+};
+
 /**
  * Update last read time for a participant
  * @param {string} userId - User ID
@@ -159,6 +252,41 @@ chatRoomSchema.statics.findOrCreatePrivateChat = async function (userId1, userId
     return chatRoom;
 };
 
+/**
+ * Static method to pin a message
+ * One conditional update, so concurrent pins can't push the room over the limit.
+ * @param {string} chatRoomId - Chat room ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User pinning the message
+ * @param {number} maxPins - Pinned messages allowed per room
+ * @returns {Promise<ChatRoom|null>} - Updated room, or null if already pinned or at the limit
+ */
+chatRoomSchema.statics.addPin = async function (chatRoomId, messageId, userId, maxPins) {
+    return this.findOneAndUpdate(
+        {
+            _id: chatRoomId,
+            isActive: true,
+            'pinnedMessages.message': { $ne: messageId },
+            [`pinnedMessages.${maxPins - 1}`]: { $exists: false },
+        },
+        { $push: { pinnedMessages: { message: messageId, pinnedBy: userId, pinnedAt: new Date() } } },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to drop a message from a room's pins (e.g. after deletion)
+ * @param {string} chatRoomId - Chat room ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise}
+ */
+chatRoomSchema.statics.removePin = async function (chatRoomId, messageId) {
+    return this.updateOne(
+        { _id: chatRoomId },
+        { $pull: { pinnedMessages: { message: messageId } } }
+    );
+};
+
 const ChatRoom = mongoose.model('ChatRoom', chatRoomSchema);
 
 module.exports = ChatRoom;
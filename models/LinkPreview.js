@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * LinkPreview Schema
+ * Cache of unfurled URLs so each page is fetched once. Failed fetches are
+ * cached too (with no metadata) so broken links aren't retried on every send.
+ */
+const linkPreviewSchema = new mongoose.Schema(
+    {
+        url: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        title: {
+            type: String,
+        },
+        description: {
+            type: String,
+        },
+        image: {
+            type: String,
+        },
+        siteName: {
+            type: String,
+        },
+        failed: {
+            type: Boolean,
+            default: false,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Let MongoDB drop stale cache entries
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Get the preview as attached to messages
+ * @returns {object|null} - Null for failed fetches
+ */
+linkPreviewSchema.methods.toPreview = function () {
+    if (this.failed) return null;
+
+    return {
+        url: this.url,
+        title: this.title,
+        description: this.description,
+        image: this.image,
+        siteName: this.siteName,
+    };
+};
+
+const LinkPreview = mongoose.model('LinkPreview', linkPreviewSchema);
+
+module.exports = LinkPreview;
@@ -1,5 +1,109 @@
 const mongoose = require('mongoose');
 
+/**
+ * Summarize reactions for clients: one entry per emoji with a count
+ * @param {Array} reactions - Raw reactions ({ emoji, users })
+ * @returns {Array} - [{ emoji, count, users }]
+ */
+const summarizeReactions = (reactions = []) => {
+    return reactions
+        .filter((r) => r.users && r.users.length > 0)
+        .map((r) => ({
+            emoji: r.emoji,
+            count: r.users.length,
+            users: r.users,
+        }));
+};
+
+/**
+ * Summarize a poll for clients: vote counts per option. Voter IDs are only
+ * included for non-anonymous polls; `myVotes` only for the viewing user.
+ * @param {object} poll - Raw poll
+ * @param {string} viewerId - User the summary is for (optional)
+ * @returns {object}
+ */
+const summarizePoll = (poll, viewerId = null) => {
+    const voters = new Set();
+    const myVotes = [];
+
+    const options = poll.options.map((option) => {
+        const optionVoters = option.voters || [];
+        optionVoters.forEach((id) => voters.add(id.toString()));
+
+        if (viewerId && optionVoters.some((id) => id.toString() === viewerId.toString())) {
+            myVotes.push(option._id);
+        }
+
+        return {
+            _id: option._id,
+            text: option.text,
+            count: optionVoters.length,
+            ...(!poll.anonymous && { voters: optionVoters }),
+        };
+    });
+
+    return {
+        question: poll.question,
+        options,
+        allowMultiple: poll.allowMultiple,
+        anonymous: poll.anonymous,
+        closesAt: poll.closesAt,
+        closedAt: poll.closedAt,
+        isClosed: !!poll.closedAt || (!!poll.closesAt && new Date(poll.closesAt) <= new Date()),
+        totalVoters: voters.size,
+        ...(viewerId && { myVotes }),
+    };
+};
+
+/**
+ * Poll option schema (the option _id is what clients vote with)
+ */
+const pollOptionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: [true, 'Poll option text is required'],
+        trim: true,
+        maxlength: [100, 'Poll option cannot exceed 100 characters'],
+    },
+    voters: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    ],
+});
+
+/**
+ * Poll Schema (embedded in poll messages)
+ */
+const pollSchema = new mongoose.Schema(
+    {
+        question: {
+            type: String,
+            required: [true, 'Poll question is required'],
+            trim: true,
+            maxlength: [300, 'Poll question cannot exceed 300 characters'],
+        },
+        options: [pollOptionSchema],
+        allowMultiple: {
+            type: Boolean,
+            default: false,
+        },
+        // Voter IDs are kept (to prevent double voting) but never sent to clients
+        anonymous: {
+            type: Boolean,
+            default: false,
+        },
+        closesAt: {
+            type: Date,
+        },
+        closedAt: {
+            type: Date,
+        },
+    },
+    { _id: false }
+);
+
 /**
  * Message Schema
  * Stores chat messages with support for text and media
@@ -24,7 +128,7 @@ const messageSchema = new mongoose.Schema(
         },
         messageType: {
             type: String,
-            enum: ['text', 'image', 'file', 'system'],
+            enum: ['text', 'image', 'file', 'audio', 'system', 'poll'],
             default: 'text',
         },
         // Media attachment details
@@ -32,8 +136,12 @@ const messageSchema = new mongoose.Schema(
             url: {
                 type: String,
             },
-            publicId: {
-                type: String, // For Cloudinary
+            // Where the file lives (see services/storage)
+            storage: {
+                type: String,
+            },
+            key: {
+                type: String,
             },
             filename: {
                 type: String,
@@ -44,6 +152,36 @@ const messageSchema = new mongoose.Schema(
             size: {
                 type: Number, // File size in bytes
             },
+            // Images only
+            width: {
+                type: Number,
+            },
+            height: {
+                type: Number,
+            },
+            blurhash: {
+                type: String, // Placeholder shown while the image loads
+            },
+            thumbnail: {
+                url: String,
+                key: String,
+                width: Number,
+                height: Number,
+            },
+            preview: {
+                url: String,
+                key: String,
+                width: Number,
+                height: Number,
+            },
+            // Audio only
+            duration: {
+                type: Number, // Seconds
+            },
+            waveform: {
+                type: [Number], // Peak amplitudes in 0..1
+                default: undefined,
+            },
         },
         // Message status tracking
         readBy: [
@@ -58,11 +196,100 @@ const messageSchema = new mongoose.Schema(
                 },
             },
         ],
+        // Poll details (poll messages only)
+        poll: {
+            type: pollSchema,
+            default: undefined,
+        },
+        // Previews of URLs in the content (attached after sending)
+        linkPreviews: [
+            {
+                _id: false,
+                url: String,
+                title: String,
+                description: String,
+                image: String,
+                siteName: String,
+            },
+        ],
+        // Users mentioned via @username, @here or @all
+        mentions: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+        // Delivery receipts (recipient socket acknowledged the message)
+        deliveredTo: [
+            {
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                deliveredAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        // Emoji reactions (one entry per emoji)
+        reactions: [
+            {
+                _id: false,
+                emoji: {
+                    type: String,
+                    required: true,
+                    maxlength: [32, 'Reaction cannot exceed 32 characters'],
+                },
+                users: [
+                    {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'User',
+                    },
+                ],
+            },
+        ],
+        // Origin of a forwarded message (sender and room omitted when the
+        // forwarder could not see them)
+        forwardedFrom: {
+            message: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+            },
+            sender: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+            chatRoom: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ChatRoom',
+            },
+        },
         // For reply functionality
         replyTo: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Message',
         },
+        // Thread this reply belongs to (root message ID)
+        threadRoot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+        },
+        // Thread counters (kept on the root message)
+        threadReplyCount: {
+            type: Number,
+            default: 0,
+        },
+        threadLastReplyAt: {
+            type: Date,
+        },
+        threadParticipants: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
         // Soft delete flag
         isDeleted: {
             type: Boolean,
@@ -79,6 +306,23 @@ const messageSchema = new mongoose.Schema(
         editedAt: {
             type: Date,
         },
+        // Disappearing messages: removed by the expiry sweeper after this time
+        expiresAt: {
+            type: Date,
+        },
+        // Previous versions of the content, oldest first
+        revisions: [
+            {
+                _id: false,
+                content: {
+                    type: String,
+                },
+                replacedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
     },
     {
         timestamps: true,
@@ -88,10 +332,15 @@ const messageSchema = new mongoose.Schema(
 // Compound index for efficient message fetching
 messageSchema.index({ chatRoom: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ content: 'text' });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
 
 /**
  * Mark message as read by a user
  * @param {string} userId - User ID who read the message
+ * @returns {boolean} - True if this is a new read receipt
  */
 messageSchema.methods.markAsRead = function (userId) {
     const alreadyRead = this.readBy.some(
@@ -100,17 +349,50 @@ messageSchema.methods.markAsRead = function (userId) {
 
     if (!alreadyRead && this.sender.toString() !== userId.toString()) {
         this.readBy.push({ user: userId, readAt: new Date() });
+        return true;
     }
+
+    return false;
+};
+
+/**
+ * Get the receipt status of every recipient
+ * @param {Array} recipients - Room participants other than the sender (IDs or user documents)
+ * @returns {Array} - [{ user, status, deliveredAt, readAt }], status is sent/delivered/read
+ */
+messageSchema.methods.getReceipts = function (recipients) {
+    const find = (list, userId) => list.find((r) => r.user.toString() === userId);
+
+    return recipients.map((user) => {
+        const userId = (user._id || user).toString();
+        const read = find(this.readBy, userId);
+        const delivered = find(this.deliveredTo, userId);
+
+        return {
+            user,
+            status: read ? 'read' : delivered ? 'delivered' : 'sent',
+            deliveredAt: delivered ? delivered.deliveredAt : read ? read.readAt : null,
+            readAt: read ? read.readAt : null,
+        };
+    });
 };
 
 /**
  * Soft delete a message
+ * @returns {object|null} - Detached media; release it once the deletion is saved
  */
 messageSchema.methods.softDelete = function () {
+    // Keep the last content for moderation
+    this.revisions.push({ content: this.content, replacedAt: new Date() });
+
+    const media = this.media && this.media.url ? this.toObject().media : null;
+
     this.isDeleted = true;
     this.deletedAt = new Date();
     this.content = 'This message has been deleted';
     this.media = undefined;
+
+    return media;
 };
 
 /**
@@ -118,11 +400,238 @@ messageSchema.methods.softDelete = function () {
  * @param {string} newContent - New message content
  */
 messageSchema.methods.editContent = function (newContent) {
+    this.revisions.push({ content: this.content, replacedAt: new Date() });
+
     this.content = newContent;
     this.isEdited = true;
     this.editedAt = new Date();
 };
 
+/**
+ * Replace the mentioned users
+ * @param {Array<string>} userIds - Resolved mentions
+ * @returns {Array<string>} - Users who were not mentioned before
+ */
+messageSchema.methods.setMentions = function (userIds) {
+    const previous = new Set(this.mentions.map((id) => id.toString()));
+
+    this.mentions = userIds;
+    return userIds.filter((id) => !previous.has(id.toString()));
+};
+
+/**
+ * Check whether a poll no longer accepts votes
+ * @returns {boolean}
+ */
+messageSchema.methods.isPollClosed = function () {
+    if (!this.poll) return true;
+    return !!this.poll.closedAt || (!!this.poll.closesAt && this.poll.closesAt <= new Date());
+};
+
+/**
+ * Check a set of poll choices against this poll
+ * @param {Array<string>} optionIds - Chosen option IDs
+ * @returns {string|null} - Error message, or null if the choice is valid
+ */
+messageSchema.methods.validateVote = function (optionIds) {
+    const chosen = new Set(optionIds.map((id) => id.toString()));
+
+    if (chosen.size === 0) return 'Choose at least one option';
+    if (!this.poll.allowMultiple && chosen.size > 1) return 'This poll allows only one choice';
+
+    const known = new Set(this.poll.options.map((o) => o._id.toString()));
+    if ([...chosen].some((id) => !known.has(id))) return 'Unknown poll option';
+
+    return null;
+};
+
+/**
+ * Query matching a poll message that still accepts votes
+ * @param {string} messageId - Poll message ID
+ * @returns {object}
+ */
+const openPollFilter = (messageId) => ({
+    _id: messageId,
+    messageType: 'poll',
+    isDeleted: false,
+    'poll.closedAt': null,
+    $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: new Date() } }],
+});
+
+/**
+ * Static method to set a user's poll votes, replacing any earlier choice
+ * A single pipeline update, so concurrent votes and closing the poll can't
+ * interleave with it. Choices must already be validated (validateVote).
+ * @param {string} messageId - Poll message ID
+ * @param {string} userId - Voting user ID
+ * @param {Array<string>} optionIds - Chosen option IDs
+ * @returns {Promise<Message|null>} - Updated message, or null if the poll is closed
+ */
+messageSchema.statics.castVote = async function (messageId, userId, optionIds) {
+    // Pipeline updates are not cast by Mongoose
+    const voter = new mongoose.Types.ObjectId(userId.toString());
+    const chosen = optionIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+
+    return this.findOneAndUpdate(
+        openPollFilter(messageId),
+        [{
+            $set: {
+                'poll.options': {
+                    $map: {
+                        input: '$poll.options',
+                        as: 'option',
+                        in: {
+                            $mergeObjects: ['$$option', {
+                                voters: {
+                                    $concatArrays: [
+                                        {
+                                            $filter: {
+                                                input: '$$option.voters',
+                                                as: 'voter',
+                                                cond: { $ne: ['$$voter', voter] },
+                                            },
+                                        },
+                                        { $cond: [{ $in: ['$$option._id', chosen] }, [voter], []] },
+                                    ],
+                                },
+                            }],
+                        },
+                    },
+                },
+            },
+        }],
+        { new: true }
+    );
+};
+
+/**
+ * Static method to remove all of a user's poll votes
+ * @param {string} messageId - Poll message ID
+ * @param {string} userId - Voting user ID
+ * @returns {Promise<Message|null>} - Updated message, or null if the poll is closed or the user had not voted
+ */
+messageSchema.statics.retractVote = async function (messageId, userId) {
+    return this.findOneAndUpdate(
+        { ...openPollFilter(messageId), 'poll.options.voters': userId },
+        { $pull: { 'poll.options.$[].voters': userId } },
+        { new: true }
+    );
+};
+
+/**
+ * Get the client-facing poll summary
+ * @param {string} viewerId - User the summary is for (optional)
+ * @returns {object|null}
+ */
+messageSchema.methods.getPollSummary = function (viewerId = null) {
+    return this.poll ? summarizePoll(this.poll, viewerId) : null;
+};
+
+/**
+ * Check whether the message is still within the edit window
+ * @param {number} editWindow - Window length in ms (0 = no limit)
+ * @returns {boolean}
+ */
+messageSchema.methods.isEditable = function (editWindow) {
+    if (!editWindow) return true;
+    return Date.now() - this.createdAt.getTime() <= editWindow;
+};
+
+/**
+ * Get the edit history: every previous version followed by the current one
+ * @returns {Array} - [{ content, from, to }]
+ */
+messageSchema.methods.getHistory = function () {
+    let from = this.createdAt;
+
+    const versions = this.revisions.map((revision) => {
+        const version = { content: revision.content, from, to: revision.replacedAt };
+        from = revision.replacedAt;
+        return version;
+    });
+
+    if (!this.isDeleted) {
+        versions.push({ content: this.content, from, to: null });
+    }
+
+    return versions;
+};
+
+/**
+ * Check whether a user can add this emoji without going over the limit
+ * @param {string} emoji - Emoji
+ * @param {number} maxReactions - Distinct emojis allowed per message
+ * @returns {boolean}
+ */
+messageSchema.methods.canAddReaction = function (emoji, maxReactions) {
+    return this.reactions.length < maxReactions || this.reactions.some((r) => r.emoji === emoji);
+};
+
+/**
+ * Static method to add a user's reaction
+ * Updates are atomic so concurrent reactions can't overwrite each other.
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Emoji
+ * @param {number} maxReactions - Distinct emojis allowed per message
+ * @returns {Promise<Message|null>} - Updated message, or null if nothing changed
+ *   (already reacted, message deleted or the emoji limit reached)
+ */
+messageSchema.statics.addReaction = async function (messageId, userId, emoji, maxReactions) {
+    const filter = { _id: messageId, isDeleted: false };
+
+    const joinExisting = () => this.findOneAndUpdate(
+        { ...filter, reactions: { $elemMatch: { emoji, users: { $ne: userId } } } },
+        { $addToSet: { 'reactions.$.users': userId } },
+        { new: true }
+    );
+
+    let message = await joinExisting();
+    if (message) return message;
+
+    // First use of this emoji, as long as the message is under the limit
+    message = await this.findOneAndUpdate(
+        { ...filter, 'reactions.emoji': { $ne: emoji }, [`reactions.${maxReactions - 1}`]: { $exists: false } },
+        { $push: { reactions: { emoji, users: [userId] } } },
+        { new: true }
+    );
+    if (message) return message;
+
+    // Someone else may have added the same emoji in the meantime
+    return joinExisting();
+};
+
+/**
+ * Static method to remove a user's reaction
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting user ID
+ * @param {string} emoji - Emoji
+ * @returns {Promise<Message|null>} - Updated message, or null if the user had not reacted with this emoji
+ */
+messageSchema.statics.removeReaction = async function (messageId, userId, emoji) {
+    const removed = await this.updateOne(
+        { _id: messageId, reactions: { $elemMatch: { emoji, users: userId } } },
+        { $pull: { 'reactions.$.users': userId } }
+    );
+
+    if (removed.modifiedCount === 0) return null;
+
+    // Drop emojis nobody uses anymore
+    return this.findOneAndUpdate(
+        { _id: messageId },
+        { $pull: { reactions: { users: { $size: 0 } } } },
+        { new: true }
+    );
+};
+
+/**
+ * Get aggregated reaction counts
+ * @returns {Array} - [{ emoji, count, users }]
+ */
+messageSchema.methods.getReactionSummary = function () {
+    return summarizeReactions(this.reactions);
+};
+
 /**
  * Virtual to check if message has media
  */
@@ -137,6 +646,15 @@ messageSchema.virtual('hasMedia').get(function () {
 messageSchema.methods.toJSON = function () {
     const message = this.toObject();
 
+    message.reactions = summarizeReactions(message.reactions);
+
+    if (message.poll) {
+        message.poll = summarizePoll(message.poll);
+    }
+
+    // Edit history is only served by the history endpoint
+    delete message.revisions;
+
     // If message is deleted, hide content
     if (message.isDeleted) {
         message.content = 'This message has been deleted';
@@ -157,6 +675,7 @@ messageSchema.statics.getMessages = async function (chatRoomId, options = {}) {
         page = 1,
         limit = 50,
         before = null, // Cursor-based pagination
+        viewerId = null, // Adds the viewer's own poll votes
     } = options;
 
     const query = {
@@ -172,14 +691,313 @@ messageSchema.statics.getMessages = async function (chatRoomId, options = {}) {
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
+        .select('-revisions')
         .populate('sender', 'username avatar status')
         .populate('replyTo', 'content sender')
+        .populate('forwardedFrom.sender', 'username avatar')
+        .populate('forwardedFrom.chatRoom', 'name type')
         .lean();
 
+    // Attach aggregated reaction counts and poll tallies
+    messages.forEach((message) => {
+        message.reactions = summarizeReactions(message.reactions);
+        if (message.poll) message.poll = summarizePoll(message.poll, viewerId);
+    });
+
     // Return in chronological order
     return messages.reverse();
 };
 
+/**
+ * Add a receipt for a user to a batch of messages they have not acknowledged yet
+ * @param {Model} Model - Message model
+ * @param {string} field - Receipt list (deliveredTo or readBy)
+ * @param {string} timeField - Timestamp field of a receipt entry
+ * @param {object} filter - Extra message filter
+ * @param {string} userId - Recipient ID
+ * @returns {Promise<Array>} - Messages that got a new receipt ({ _id, chatRoom, sender })
+ */
+const recordReceipts = async (Model, field, timeField, filter, userId) => {
+    const query = {
+        ...filter,
+        sender: { $ne: userId },
+        isDeleted: false,
+        [`${field}.user`]: { $ne: userId },
+    };
+
+    const messages = await Model.find(query).select('chatRoom sender').lean();
+
+    if (messages.length > 0) {
+        await Model.updateMany(
+            { ...query, _id: { $in: messages.map((m) => m._id) } },
+            { $push: { [field]: { user: userId, [timeField]: new Date() } } }
+        );
+    }
+
+    return messages;
+};
+
+/**
+ * Static method to record that messages reached a recipient's device
+ * @param {Array} messageIds - Message IDs
+ * @param {string} userId - Recipient ID
+ * @returns {Promise<Array>} - Newly delivered messages
+ */
+messageSchema.statics.recordDelivery = async function (messageIds, userId) {
+    return recordReceipts(this, 'deliveredTo', 'deliveredAt', { _id: { $in: messageIds } }, userId);
+};
+
+/**
+ * Static method to record that a recipient read messages in a chat room
+ * @param {string} chatRoomId - Chat room ID
+ * @param {Array} messageIds - Message IDs
+ * @param {string} userId - Recipient ID
+ * @returns {Promise<Array>} - Newly read messages
+ */
+messageSchema.statics.recordRead = async function (chatRoomId, messageIds, userId) {
+    return recordReceipts(
+        this,
+        'readBy',
+        'readAt',
+        { _id: { $in: messageIds }, chatRoom: chatRoomId },
+        userId
+    );
+};
+
+/**
+ * Static method to post a system message (room events such as pins)
+ * @param {ChatRoom} chatRoom - Chat room
+ * @param {string} userId - User who triggered the event
+ * @param {string} content - Event text
+ * @returns {Promise<Message>}
+ */
+messageSchema.statics.createSystemMessage = async function (chatRoom, userId, content) {
+    const message = await this.create({
+        chatRoom: chatRoom._id,
+        sender: userId,
+        content,
+        messageType: 'system',
+        expiresAt: chatRoom.getMessageExpiry(),
+    });
+
+    await message.populate('sender', 'username avatar');
+
+    return message;
+};
+
+/**
+ * Static method to get messages that mention a user, newest first
+ * @param {string} userId - Mentioned user ID
+ * @param {Array} chatRoomIds - Rooms the user still belongs to
+ * @param {object} options - Pagination options
+ * @returns {Promise<Array>}
+ */
+messageSchema.statics.getMentions = async function (userId, chatRoomIds, options = {}) {
+    const {
+        page = 1,
+        limit = 50,
+        before = null, // Cursor-based pagination
+    } = options;
+
+    const query = {
+        mentions: userId,
+        chatRoom: { $in: chatRoomIds },
+        isDeleted: false,
+    };
+
+    if (before) {
+        query.createdAt = { $lt: new Date(before) };
+    }
+
+    const messages = await this.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-revisions')
+        .populate('sender', 'username avatar status')
+        .populate('chatRoom', 'name type')
+        .lean();
+
+    messages.forEach((message) => {
+        message.reactions = summarizeReactions(message.reactions);
+        if (message.poll) message.poll = summarizePoll(message.poll);
+    });
+
+    return messages;
+};
+
+/**
+ * Static method to resolve the thread a reply belongs to
+ * The reply target must be a live message in the same chat room. Replies to
+ * replies join the original thread, keeping threads flat.
+ * @param {string} chatRoomId - Chat room of the new message
+ * @param {string} replyToId - Message being replied to
+ * @returns {Promise<ObjectId|null>} - Thread root ID, or null if the target is invalid
+ */
+messageSchema.statics.resolveThreadRoot = async function (chatRoomId, replyToId) {
+    if (!mongoose.isValidObjectId(replyToId)) return null;
+
+    const parent = await this.findOne({
+        _id: replyToId,
+        chatRoom: chatRoomId,
+        isDeleted: false,
+    }).select('threadRoot');
+
+    if (!parent) return null;
+
+    return parent.threadRoot || parent._id;
+};
+
+/**
+ * Static method to update a thread root's counters for a new reply
+ * @param {string} rootId - Thread root message ID
+ * @param {Message} reply - The new reply
+ * @returns {Promise<Message|null>} - Updated root message
+ */
+messageSchema.statics.recordThreadReply = async function (rootId, reply) {
+    const senderId = reply.sender._id || reply.sender;
+
+    return this.findByIdAndUpdate(
+        rootId,
+        {
+            $inc: { threadReplyCount: 1 },
+            $set: { threadLastReplyAt: reply.createdAt },
+            $addToSet: { threadParticipants: senderId },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to update a thread root's counters when a reply is deleted
+ * @param {string} rootId - Thread root message ID
+ * @param {object} reply - The deleted reply ({ createdAt })
+ * @returns {Promise<Message|null>} - Updated root message
+ */
+messageSchema.statics.recordThreadReplyDeleted = async function (rootId, reply) {
+    let root = await this.findOneAndUpdate(
+        { _id: rootId, threadReplyCount: { $gt: 0 } },
+        { $inc: { threadReplyCount: -1 } },
+        { new: true }
+    );
+
+    // Only the latest reply moves threadLastReplyAt back
+    if (!root || !root.threadLastReplyAt || root.threadLastReplyAt > reply.createdAt) {
+        return root;
+    }
+
+    const latest = await this.findOne({ threadRoot: rootId, isDeleted: false })
+        .sort({ createdAt: -1 })
+        .select('createdAt');
+
+    // Conditional, so a reply posted meanwhile keeps its newer timestamp
+    root = await this.findOneAndUpdate(
+        { _id: rootId, threadLastReplyAt: root.threadLastReplyAt },
+        latest ? { threadLastReplyAt: latest.createdAt } : { $unset: { threadLastReplyAt: 1 } },
+        { new: true }
+    );
+
+    return root || this.findById(rootId);
+};
+
+/**
+ * Static method to get the replies of a thread with pagination
+ * @param {string} rootId - Thread root message ID
+ * @param {object} options - Pagination options
+ * @returns {Promise<Array>} - Replies in chronological order
+ */
+messageSchema.statics.getThreadReplies = async function (rootId, options = {}) {
+    const {
+        page = 1,
+        limit = 50,
+        after = null, // Cursor-based pagination
+    } = options;
+
+    const query = {
+        threadRoot: rootId,
+        isDeleted: false,
+    };
+
+    if (after) {
+        query.createdAt = { $gt: new Date(after) };
+    }
+
+    const replies = await this.find(query)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-revisions')
+        .populate('sender', 'username avatar status')
+        .lean();
+
+    replies.forEach((reply) => {
+        reply.reactions = summarizeReactions(reply.reactions);
+        if (reply.poll) reply.poll = summarizePoll(reply.poll);
+    });
+
+    return replies;
+};
+
+/**
+ * Static method to full-text search messages in a set of chat rooms
+ * Results are newest first; pass the last result's ID as `cursor` for the next page.
+ * @param {Array} chatRoomIds - Rooms the caller may search
+ * @param {string} text - Search query
+ * @param {object} options - Filters and pagination
+ * @returns {Promise<object>} - { messages, nextCursor }
+ */
+messageSchema.statics.search = async function (chatRoomIds, text, options = {}) {
+    const {
+        sender = null,
+        from = null,
+        to = null,
+        messageType = null,
+        hasMedia = null,
+        cursor = null,
+        limit = 20,
+    } = options;
+
+    const query = {
+        $text: { $search: text },
+        chatRoom: { $in: chatRoomIds },
+        isDeleted: false,
+    };
+
+    if (sender) query.sender = sender;
+    if (messageType) query.messageType = messageType;
+    if (hasMedia !== null) query['media.url'] = { $exists: hasMedia };
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // ObjectIds grow with creation time, so they double as a stable cursor
+    if (cursor) query._id = { $lt: cursor };
+
+    const messages = await this.find(query)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .select('-revisions')
+        .populate('sender', 'username avatar status')
+        .populate('chatRoom', 'name type')
+        .lean();
+
+    const hasMore = messages.length > limit;
+    if (hasMore) messages.pop();
+
+    messages.forEach((message) => {
+        message.reactions = summarizeReactions(message.reactions);
+        if (message.poll) message.poll = summarizePoll(message.poll);
+    });
+
+    return {
+        messages,
+        nextCursor: hasMore ? messages[messages.length - 1]._id : null,
+    };
+};
+
 const Message = mongoose.model('Message', messageSchema);
 
 module.exports = Message;
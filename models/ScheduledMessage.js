@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScheduledMessage Schema
+ * A message composed now and delivered by the scheduler at `sendAt`
+ */
+const scheduledMessageSchema = new mongoose.Schema(
+    {
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Sender is required'],
+            index: true,
+        },
+        chatRoom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ChatRoom',
+            required: [true, 'Chat room is required'],
+        },
+        content: {
+            type: String,
+            trim: true,
+            required: [true, 'Message content is required'],
+            maxlength: [5000, 'Message cannot exceed 5000 characters'],
+        },
+        replyTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+        },
+        sendAt: {
+            type: Date,
+            required: [true, 'Send time is required'],
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+            default: 'pending',
+        },
+        // Set while a scheduler instance is delivering the message
+        lockedAt: {
+            type: Date,
+        },
+        sentAt: {
+            type: Date,
+        },
+        // Message created on delivery
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+        },
+        error: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Index for the scheduler's due-message lookup
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+
+/**
+ * Static method to atomically claim the next due message for delivery.
+ * Messages stuck in `sending` longer than `lockTimeout` (e.g. after a crash)
+ * are claimed again.
+ * @param {number} lockTimeout - Lock lifetime in ms
+ * @returns {Promise<ScheduledMessage|null>}
+ */
+scheduledMessageSchema.statics.claimDue = async function (lockTimeout) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            sendAt: { $lte: now },
+            $or: [
+                { status: 'pending' },
+                { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - lockTimeout) } },
+            ],
+        },
+        { status: 'sending', lockedAt: now },
+        { new: true, sort: { sendAt: 1 } }
+    );
+};
+
+/**
+ * Static method to record a delivery
+ * Written in one update straight after the message is created, so the row can
+ * never be left `sending` (and re-claimed) once its message exists.
+ * @param {string} id - Scheduled message ID
+ * @param {string} messageId - Delivered message ID
+ * @returns {Promise<object>} - Update result
+ */
+scheduledMessageSchema.statics.markSent = async function (id, messageId) {
+    return this.updateOne(
+        { _id: id, status: 'sending' },
+        { status: 'sent', sentAt: new Date(), message: messageId }
+    );
+};
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+
+module.exports = ScheduledMessage;
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * Server-side record of a login. Each session is one refresh token family:
+ * the refresh token is rotated on every use and only its hash is stored.
+ */
+// Retired refresh token hashes kept per session for reuse detection
+const MAX_RETIRED_REFRESH_TOKENS = 20;
+
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+            index: true,
+        },
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            select: false, // Never expose token hashes in queries by default
+        },
+        // Hashes of tokens rotated away (newest last); presenting one again means reuse
+        retiredRefreshTokenHashes: {
+            type: [String],
+            select: false,
+            default: undefined,
+        },
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        ip: {
+            type: String,
+            default: '',
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'reuse_detected', 'password_changed', 'password_reset', 'suspended', 'account_deleted'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Check whether the session can still be used
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke the session (and with it the whole refresh token family)
+ * @param {string} reason - Why the session was revoked
+ */
+sessionSchema.methods.revoke = function (reason) {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+    }
+};
+
+/**
+ * Get the client-facing view of the session
+ * @param {string} currentSessionId - Session making the request
+ * @returns {object}
+ */
+sessionSchema.methods.toPublicSession = function (currentSessionId) {
+    return {
+        _id: this._id,
+        device: this.userAgent,
+        ip: this.ip,
+        lastUsedAt: this.lastUsedAt,
+        createdAt: this.createdAt,
+        expiresAt: this.expiresAt,
+        current: !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+    };
+};
+
+/**
+ * Static method to find a session that has not been revoked or expired
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Session|null>}
+ */
+sessionSchema.statics.findActive = async function (sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    return this.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+/**
+ * Static method to rotate a session's refresh token
+ * Atomic, so a token can only ever be exchanged once. The old hash is retired
+ * rather than forgotten, so presenting it again can be recognized as reuse.
+ * @param {string} sessionId - Session ID
+ * @param {string} presentedHash - Hash of the presented refresh secret
+ * @param {string} newHash - Hash of the new refresh secret
+ * @param {string} ip - Client IP
+ * @returns {Promise<Session|null>} - Updated session, or null if the presented token is not current
+ */
+sessionSchema.statics.rotateRefreshToken = async function (sessionId, presentedHash, newHash, ip) {
+    return this.findOneAndUpdate(
+        {
+            _id: sessionId,
+            refreshTokenHash: presentedHash,
+            revokedAt: null,
+        },
+        {
+            $set: {
+                refreshTokenHash: newHash,
+                lastUsedAt: new Date(),
+                ip,
+            },
+            $push: {
+                retiredRefreshTokenHashes: { $each: [presentedHash], $slice: -MAX_RETIRED_REFRESH_TOKENS },
+            },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to list the active sessions of a user, most recent first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+sessionSchema.statics.findActiveForUser = async function (userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Static method to revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} exceptSessionId - Optional session to keep alive
+ * @returns {Promise<Array>} - IDs of the revoked sessions
+ */
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await this.find(query).select('_id').lean();
+    const sessionIds = sessions.map((s) => s._id);
+
+    // Only the sessions found above, so the returned IDs (whose sockets the caller
+    // disconnects) are exactly the ones revoked; a session started in between is
+    // left alone, and one revoked in between keeps its original reason
+    await this.updateMany(
+        { _id: { $in: sessionIds }, revokedAt: null },
+        {
+            revokedAt: new Date(),
+            revokedReason: reason,
+        }
+    );
+
+    return sessionIds;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/jwt');
+const { verifyTotp } = require('../utils/totp');
+const { BadRequestError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Normalize a recovery code before hashing (ignore case, dashes and spaces)
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
 
 /**
  * User Schema
@@ -25,7 +36,13 @@ const userSchema = new mongoose.Schema(
         },
         password: {
             type: String,
-            required: [true, 'Password is required'],
+            // Accounts created through social login may have no password
+            required: [
+                function () {
+                    return !this.identities || this.identities.length === 0;
+                },
+                'Password is required',
+            ],
             minlength: [6, 'Password must be at least 6 characters'],
             select: false, // Don't include password in queries by default
         },
@@ -33,6 +50,11 @@ const userSchema = new mongoose.Schema(
             type: String,
             default: '', // URL to user's avatar image
         },
+        // Where an uploaded avatar lives (see services/storage)
+        avatarFile: {
+            storage: String,
+            key: String,
+        },
         status: {
             type: String,
             enum: ['online', 'offline', 'away', 'busy'],
@@ -53,6 +75,93 @@ const userSchema = new mongoose.Schema(
                 ref: 'User',
             },
         ],
+        // Platform-wide role (chat room roles live on ChatRoom.participants)
+        role: {
+            type: String,
+            enum: ['user', 'moderator', 'admin'],
+            default: 'user',
+        },
+        // Suspension by an administrator
+        isSuspended: {
+            type: Boolean,
+            default: false,
+        },
+        suspendedAt: {
+            type: Date,
+        },
+        suspendedReason: {
+            type: String,
+            maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+        },
+        // Linked OAuth2 / OpenID Connect identities
+        identities: [
+            {
+                provider: {
+                    type: String,
+                    required: true,
+                },
+                subject: {
+                    type: String, // The provider's stable `sub` claim
+                    required: true,
+                },
+                email: {
+                    type: String,
+                },
+                linkedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        // Email verification (only the hash of the emailed token is stored)
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerificationToken: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        // Account lockout after repeated failed logins
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+        lockUntil: {
+            type: Date,
+            select: false,
+        },
+        // Two-factor authentication (TOTP)
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorRecoveryCodes: {
+            type: [String], // Hashes of unused recovery codes
+            select: false,
+        },
+        twoFactorLastUsedStep: {
+            type: Number, // Prevents replaying a code within its time window
+            select: false,
+        },
+        // Password reset (only the hash of the emailed token is stored)
+        passwordResetToken: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
@@ -61,6 +170,7 @@ const userSchema = new mongoose.Schema(
 
 // Index for faster queries
 userSchema.index({ username: 'text', email: 'text' });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 
 /**
  * Hash password before saving
@@ -84,9 +194,188 @@ userSchema.pre('save', async function (next) {
  * @returns {Promise<boolean>}
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.password) return false;
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Check whether the account is temporarily locked
+ * Requires lockUntil to be selected
+ * @returns {boolean}
+ */
+userSchema.methods.isLocked = function () {
+    return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+/**
+ * Record a failed login and lock the account once the limit is reached
+ * Requires failedLoginAttempts and lockUntil to be selected; call save() afterwards
+ * @param {number} maxAttempts - Failures allowed before locking
+ * @param {number} lockDuration - Lock duration in milliseconds
+ */
+userSchema.methods.registerFailedLogin = function (maxAttempts, lockDuration) {
+    // Start counting again once a previous lock has expired
+    if (this.lockUntil && this.lockUntil <= new Date()) {
+        this.failedLoginAttempts = 0;
+        this.lockUntil = undefined;
+    }
+
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+    if (this.failedLoginAttempts >= maxAttempts) {
+        this.lockUntil = new Date(Date.now() + lockDuration);
+    }
+};
+
+/**
+ * Clear failed login tracking after a successful login
+ */
+userSchema.methods.resetFailedLogins = function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+};
+
+/**
+ * Create a single-use password reset token
+ * Stores the token hash and expiry on the user; call save() afterwards
+ * @param {number} expiresIn - Token lifetime in milliseconds
+ * @returns {string} - Raw token to send to the user
+ */
+userSchema.methods.createPasswordResetToken = function (expiresIn) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = hashToken(resetToken);
+    this.passwordResetExpires = new Date(Date.now() + expiresIn);
+
+    return resetToken;
+};
+
+/**
+ * Clear any pending password reset token
+ */
+userSchema.methods.clearPasswordResetToken = function () {
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+};
+
+/**
+ * Create an email verification token
+ * Stores the token hash and expiry on the user; call save() afterwards
+ * @param {number} expiresIn - Token lifetime in milliseconds
+ * @returns {string} - Raw token to send to the user
+ */
+userSchema.methods.createEmailVerificationToken = function (expiresIn) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    this.emailVerificationToken = hashToken(verificationToken);
+    this.emailVerificationExpires = new Date(Date.now() + expiresIn);
+
+    return verificationToken;
+};
+
+/**
+ * Mark the email address as verified and consume the token
+ */
+userSchema.methods.markEmailVerified = function () {
+    this.emailVerified = true;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpires = undefined;
+};
+
+/**
+ * Generate a new set of one-time recovery codes
+ * Replaces any existing codes; call save() afterwards
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} - Raw codes to show to the user once
+ */
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    this.twoFactorRecoveryCodes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+    return codes;
+};
+
+/**
+ * Verify a TOTP code or consume a recovery code
+ * Requires twoFactorSecret and twoFactorRecoveryCodes to be selected. The
+ * code is claimed with a conditional update, so concurrent requests can't
+ * both use the same TOTP step or recovery code.
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+    if (!this.twoFactorSecret) return false;
+
+    const step = verifyTotp(this.twoFactorSecret, code);
+
+    if (step !== null) {
+        const { modifiedCount } = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        );
+
+        if (modifiedCount === 0) return false;
+
+        // Already stored; keep a later save() from writing it again
+        this.twoFactorLastUsedStep = step;
+        this.unmarkModified('twoFactorLastUsedStep');
+        return true;
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+
+    if (index === -1) return false;
+
+    const { modifiedCount } = await this.constructor.updateOne(
+        { _id: this._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+
+    if (modifiedCount === 0) return false;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    this.unmarkModified('twoFactorRecoveryCodes');
+    return true;
+};
+
+/**
+ * Turn off two-factor authentication and forget its secrets
+ */
+userSchema.methods.disableTwoFactor = function () {
+    this.twoFactorEnabled = false;
+    this.twoFactorSecret = undefined;
+    this.twoFactorRecoveryCodes = undefined;
+    this.twoFactorLastUsedStep = undefined;
+};
+
+/**
+ * Suspend the account
+ * @param {string} reason - Why the account was suspended
+ */
+userSchema.methods.suspend = function (reason = '') {
+    this.isSuspended = true;
+    this.suspendedAt = new Date();
+    this.suspendedReason = reason;
+    this.status = 'offline';
+};
+
+/**
+ * Lift a suspension
+ */
+userSchema.methods.unsuspend = function () {
+    this.isSuspended = false;
+    this.suspendedAt = undefined;
+    this.suspendedReason = undefined;
+};
+
 /**
  * Get public profile (excludes sensitive data)
  * @returns {object}
@@ -96,6 +385,9 @@ userSchema.methods.toPublicProfile = function () {
         _id: this._id,
         username: this.username,
         email: this.email,
+        emailVerified: this.emailVerified,
+        twoFactorEnabled: this.twoFactorEnabled,
+        role: this.role,
         avatar: this.avatar,
         status: this.status,
         lastSeen: this.lastSeen,
@@ -104,6 +396,67 @@ userSchema.methods.toPublicProfile = function () {
     };
 };
 
+/**
+ * Static method to find the user for an OpenID Connect login, linking or
+ * creating an account as needed
+ * 1. A user already linked to this provider identity
+ * 2. A user with the same (provider-verified) email - the identity gets linked
+ * 3. Otherwise a new password-less user
+ * @param {string} provider - Provider name
+ * @param {object} claims - Verified ID token claims
+ * @returns {Promise<User>}
+ */
+userSchema.statics.findOrCreateFromOidc = async function (provider, claims) {
+    const subject = String(claims.sub);
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    let user = await this.findOne({
+        identities: { $elemMatch: { provider, subject } },
+    });
+
+    if (user) return user;
+
+    if (!email) {
+        throw new BadRequestError('Identity provider did not share an email address');
+    }
+
+    const identity = { provider, subject, email };
+
+    user = await this.findOne({ email });
+
+    if (user) {
+        // Only link when the provider vouches for the address
+        if (!emailVerified) {
+            throw new ConflictError('An account with this email already exists. Log in with your password instead.');
+        }
+
+        user.identities.push(identity);
+        if (!user.emailVerified) user.markEmailVerified();
+        await user.save();
+        return user;
+    }
+
+    // Derive a unique, valid username from the profile
+    const base = String(claims.preferred_username || claims.name || email.split('@')[0])
+        .replace(/[^a-zA-Z0-9_]/g, '_')
+        .substring(0, 24)
+        .padEnd(3, '_');
+
+    let username = base;
+    while (await this.exists({ username })) {
+        username = `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+    }
+
+    return this.create({
+        username,
+        email,
+        emailVerified,
+        avatar: claims.picture || '',
+        identities: [identity],
+    });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
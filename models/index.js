@@ -1,9 +1,15 @@
 const User = require('./User');
 const ChatRoom = require('./ChatRoom');
 const Message = require('./Message');
+const Session = require('./Session');
+const ScheduledMessage = require('./ScheduledMessage');
+const LinkPreview = require('./LinkPreview');
 
 module.exports = {
     User,
     ChatRoom,
     Message,
+    Session,
+    ScheduledMessage,
+    LinkPreview,
 };
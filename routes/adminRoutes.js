@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { adminController } = require('../controllers');
+const { auth, requireRole, adminValidation, paramValidation } = require('../middleware');
+
+// All routes require an authenticated platform admin
+router.use(auth);
+router.use(requireRole('admin'));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users
+ * @access  Private (Admin only)
+ */
+router.get('/users', adminValidation.getUsers, adminController.getUsers);
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Change a user's platform role
+ * @access  Private (Admin only)
+ */
+router.put('/users/:userId/role', adminValidation.updateRole, adminController.updateUserRole);
+
+/**
+ * @route   POST /api/admin/users/:userId/suspend
+ * @desc    Suspend a user
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/suspend', adminValidation.suspend, adminController.suspendUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/unsuspend
+ * @desc    Lift a user's suspension
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/unsuspend', ...paramValidation.mongoId('userId'), adminController.unsuspendUser);
+
+/**
+ * @route   DELETE /api/admin/users/:userId
+ * @desc    Delete a user
+ * @access  Private (Admin only)
+ */
+router.delete('/users/:userId', ...paramValidation.mongoId('userId'), adminController.deleteUser);
+
+/**
+ * @route   POST /api/admin/chatrooms/:roomId/deactivate
+ * @desc    Deactivate any chat room
+ * @access  Private (Admin only)
+ */
+router.post(
+    '/chatrooms/:roomId/deactivate',
+    ...paramValidation.mongoId('roomId'),
+    adminController.deactivateChatRoom
+);
+
+module.exports = router;
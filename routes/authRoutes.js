@@ -1,55 +1,188 @@
 const express = require('express');
 const router = express.Router();
 const { authController } = require('../controllers');
-const { auth, authValidation, uploadImage } = require('../middleware');
+const {
+    auth,
+    authValidation,
+    paramValidation,
+    uploadImage,
+    loginGuard,
+    twoFactorGuard,
+    registerGuard,
+    authLimiter,
+    accountLimiter,
+    refreshLimiter,
+    uploadLimiter,
+} = require('../middleware');
+
+// Public credential endpoints are rate limited per IP (authLimiter),
+// signed-in routes per user (accountLimiter)
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', authValidation.register, authController.register);
+router.post('/register', authLimiter, registerGuard, authValidation.register, authController.register);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', authValidation.login, authController.login);
+router.post('/login', authLimiter, loginGuard, authValidation.login, authController.login);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a two-factor code
+ * @access  Public (requires challenge token)
+ */
+router.post('/2fa/verify', authLimiter, twoFactorGuard, authValidation.twoFactorVerify, authController.verifyTwoFactor);
+
+/**
+ * @route   GET /api/auth/oauth/:provider
+ * @desc    Start OpenID Connect login
+ * @access  Public
+ */
+router.get('/oauth/:provider', authLimiter, authController.oauthLogin);
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    OpenID Connect callback
+ * @access  Public
+ */
+router.get('/oauth/:provider/callback', authLimiter, authController.oauthCallback);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public
+ */
+router.post('/refresh', refreshLimiter, authValidation.refresh, authController.refresh);
 
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', auth, authController.getMe);
+router.get('/me', auth, accountLimiter, authController.getMe);
 
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/profile', auth, authValidation.updateProfile, authController.updateProfile);
+router.put('/profile', auth, accountLimiter, authValidation.updateProfile, authController.updateProfile);
 
 /**
  * @route   PUT /api/auth/password
  * @desc    Change password
  * @access  Private
  */
-router.put('/password', auth, authValidation.changePassword, authController.changePassword);
+router.put('/password', auth, accountLimiter, authValidation.changePassword, authController.changePassword);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Request a password reset email
+ * @access  Public
+ */
+router.post('/forgot-password', authLimiter, authValidation.forgotPassword, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a reset token
+ * @access  Public
+ */
+router.post('/reset-password', authLimiter, authValidation.resetPassword, authController.resetPassword);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.get('/verify-email/:token', authLimiter, authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Resend verification email
+ * @access  Private
+ */
+router.post('/verify-email/resend', auth, authLimiter, authController.resendVerificationEmail);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment
+ * @access  Private
+ */
+router.post('/2fa/setup', auth, accountLimiter, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm two-factor enrollment
+ * @access  Private
+ */
+router.post('/2fa/confirm', auth, accountLimiter, authValidation.twoFactorCode, authController.confirmTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, accountLimiter, authValidation.twoFactorDisable, authController.disableTwoFactor);
 
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', auth, authController.logout);
+router.post('/logout', auth, accountLimiter, authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private
+ */
+router.post('/logout-all', auth, accountLimiter, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions
+ * @access  Private
+ */
+router.get('/sessions', auth, accountLimiter, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a session
+ * @access  Private
+ */
+router.delete(
+    '/sessions/:sessionId',
+    auth,
+    accountLimiter,
+    ...paramValidation.mongoId('sessionId'),
+    authController.revokeSession
+);
+
+/**
+ * @route   GET /api/auth/export
+ * @desc    Download personal data archive
+ * @access  Private
+ */
+router.get('/export', auth, accountLimiter, authController.exportData);
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Delete own account
+ * @access  Private
+ */
+router.delete('/account', auth, accountLimiter, authController.deleteAccount);
 
 /**
  * @route   POST /api/auth/avatar
  * @desc    Upload avatar
  * @access  Private
  */
-router.post('/avatar', auth, uploadImage.single('avatar'), authController.uploadAvatar);
+router.post('/avatar', auth, accountLimiter, uploadLimiter, uploadImage.single('avatar'), authController.uploadAvatar);
 
 module.exports = router;
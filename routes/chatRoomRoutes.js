@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { chatRoomController } = require('../controllers');
-const { auth, chatRoomValidation, paramValidation } = require('../middleware');
+const { auth, requireVerifiedEmail, chatRoomValidation, paramValidation } = require('../middleware');
 
 // All routes require authentication
 router.use(auth);
@@ -25,7 +25,7 @@ router.post('/private', chatRoomValidation.privateChat, chatRoomController.creat
  * @desc    Create a group chat room
  * @access  Private
  */
-router.post('/group', chatRoomValidation.createGroup, chatRoomController.createGroupChat);
+router.post('/group', requireVerifiedEmail, chatRoomValidation.createGroup, chatRoomController.createGroupChat);
 
 /**
  * @route   GET /api/chatrooms/:roomId
@@ -73,4 +73,25 @@ router.post('/:roomId/leave', ...paramValidation.mongoId('roomId'), chatRoomCont
  */
 router.post('/:roomId/read', ...paramValidation.mongoId('roomId'), chatRoomController.markAsRead);
 
+/**
+ * @route   GET /api/chatrooms/:roomId/pins
+ * @desc    Get pinned messages
+ * @access  Private
+ */
+router.get('/:roomId/pins', ...paramValidation.mongoId('roomId'), chatRoomController.getPinnedMessages);
+
+/**
+ * @route   POST /api/chatrooms/:roomId/pins/:messageId
+ * @desc    Pin a message
+ * @access  Private (Group admins, private chat participants)
+ */
+router.post('/:roomId/pins/:messageId', chatRoomValidation.pin, chatRoomController.pinMessage);
+
+/**
+ * @route   DELETE /api/chatrooms/:roomId/pins/:messageId
+ * @desc    Unpin a message
+ * @access  Private (Group admins, private chat participants)
+ */
+router.delete('/:roomId/pins/:messageId', chatRoomValidation.pin, chatRoomController.unpinMessage);
+
 module.exports = router;
@@ -2,10 +2,12 @@ const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const chatRoomRoutes = require('./chatRoomRoutes');
 const messageRoutes = require('./messageRoutes');
+const adminRoutes = require('./adminRoutes');
 
 module.exports = {
     authRoutes,
     userRoutes,
     chatRoomRoutes,
     messageRoutes,
+    adminRoutes,
 };
@@ -1,10 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { messageController } = require('../controllers');
-const { auth, messageValidation, paramValidation, upload } = require('../middleware');
+const { messageController, scheduledMessageController, pollController } = require('../controllers');
+const {
+    auth,
+    requireVerifiedEmail,
+    messageValidation,
+    paramValidation,
+    upload,
+    enforceFileSizeLimit,
+    messageLimiter,
+    uploadLimiter,
+} = require('../middleware');
 
-// All routes require authentication
+// All routes require authentication and are rate limited per user
 router.use(auth);
+router.use(messageLimiter);
 
 /**
  * @route   GET /api/messages/unread/count
@@ -13,6 +23,89 @@ router.use(auth);
  */
 router.get('/unread/count', messageController.getUnreadCount);
 
+/**
+ * @route   POST /api/messages/poll
+ * @desc    Create a poll
+ * @access  Private
+ */
+router.post('/poll', requireVerifiedEmail, messageValidation.createPoll, pollController.createPoll);
+
+/**
+ * @route   POST /api/messages/:messageId/poll/vote
+ * @desc    Vote in a poll
+ * @access  Private
+ */
+router.post('/:messageId/poll/vote', messageValidation.vote, pollController.vote);
+
+/**
+ * @route   DELETE /api/messages/:messageId/poll/vote
+ * @desc    Retract a poll vote
+ * @access  Private
+ */
+router.delete('/:messageId/poll/vote', ...paramValidation.mongoId('messageId'), pollController.retractVote);
+
+/**
+ * @route   POST /api/messages/:messageId/poll/close
+ * @desc    Close a poll
+ * @access  Private (Poll creator or group admin)
+ */
+router.post('/:messageId/poll/close', ...paramValidation.mongoId('messageId'), pollController.closePoll);
+
+/**
+ * @route   POST /api/messages/scheduled
+ * @desc    Schedule a message for later delivery
+ * @access  Private
+ */
+router.post(
+    '/scheduled',
+    requireVerifiedEmail,
+    messageValidation.scheduleMessage,
+    scheduledMessageController.createScheduledMessage
+);
+
+/**
+ * @route   GET /api/messages/scheduled
+ * @desc    Get the user's scheduled messages
+ * @access  Private
+ */
+router.get('/scheduled', messageValidation.getScheduledMessages, scheduledMessageController.getScheduledMessages);
+
+/**
+ * @route   PUT /api/messages/scheduled/:scheduledId
+ * @desc    Edit a pending scheduled message
+ * @access  Private (Sender only)
+ */
+router.put(
+    '/scheduled/:scheduledId',
+    messageValidation.updateScheduledMessage,
+    scheduledMessageController.updateScheduledMessage
+);
+
+/**
+ * @route   DELETE /api/messages/scheduled/:scheduledId
+ * @desc    Cancel a pending scheduled message
+ * @access  Private (Sender only)
+ */
+router.delete(
+    '/scheduled/:scheduledId',
+    ...paramValidation.mongoId('scheduledId'),
+    scheduledMessageController.cancelScheduledMessage
+);
+
+/**
+ * @route   GET /api/messages/mentions
+ * @desc    Get messages that mention the current user
+ * @access  Private
+ */
+router.get('/mentions', messageValidation.getMentions, messageController.getMentions);
+
+/**
+ * @route   GET /api/messages/search
+ * @desc    Search messages across the user's chat rooms
+ * @access  Private
+ */
+router.get('/search', messageValidation.search, messageController.searchMessages);
+
 /**
  * @route   GET /api/messages/:roomId
  * @desc    Get messages for a chat room
@@ -25,14 +118,14 @@ router.get('/:roomId', messageValidation.getMessages, messageController.getMessa
  * @desc    Send a message (REST fallback)
  * @access  Private
  */
-router.post('/', messageValidation.sendMessage, messageController.sendMessage);
+router.post('/', requireVerifiedEmail, messageValidation.sendMessage, messageController.sendMessage);
 
 /**
  * @route   POST /api/messages/media
  * @desc    Send a message with media attachment
  * @access  Private
  */
-router.post('/media', upload.single('file'), messageController.sendMediaMessage);
+router.post('/media', requireVerifiedEmail, uploadLimiter, upload.single('file'), enforceFileSizeLimit, messageController.sendMediaMessage);
 
 /**
  * @route   PUT /api/messages/:messageId
@@ -55,4 +148,58 @@ router.delete('/:messageId', ...paramValidation.mongoId('messageId'), messageCon
  */
 router.post('/:messageId/read', ...paramValidation.mongoId('messageId'), messageController.markAsRead);
 
+/**
+ * @route   POST /api/messages/:messageId/forward
+ * @desc    Forward a message to other chat rooms
+ * @access  Private
+ */
+router.post(
+    '/:messageId/forward',
+    requireVerifiedEmail,
+    messageValidation.forward,
+    messageController.forwardMessage
+);
+
+/**
+ * @route   GET /api/messages/:messageId/receipts
+ * @desc    Get per-user delivery and read status of a message
+ * @access  Private
+ */
+router.get('/:messageId/receipts', ...paramValidation.mongoId('messageId'), messageController.getReceipts);
+
+/**
+ * @route   GET /api/messages/:messageId/history
+ * @desc    Get the edit history of a message
+ * @access  Private
+ */
+router.get('/:messageId/history', ...paramValidation.mongoId('messageId'), messageController.getMessageHistory);
+
+/**
+ * @route   GET /api/messages/:messageId/media
+ * @desc    Get a signed download URL for a message's attachment
+ * @access  Private
+ */
+router.get('/:messageId/media', messageValidation.mediaUrl, messageController.getMediaUrl);
+
+/**
+ * @route   GET /api/messages/:messageId/thread
+ * @desc    Get a thread with paginated replies
+ * @access  Private
+ */
+router.get('/:messageId/thread', messageValidation.getThread, messageController.getThread);
+
+/**
+ * @route   POST /api/messages/:messageId/reactions
+ * @desc    Add a reaction to a message
+ * @access  Private
+ */
+router.post('/:messageId/reactions', messageValidation.reaction, messageController.addReaction);
+
+/**
+ * @route   DELETE /api/messages/:messageId/reactions
+ * @desc    Remove a reaction from a message
+ * @access  Private
+ */
+router.delete('/:messageId/reactions', messageValidation.reaction, messageController.removeReaction);
+
 module.exports = router;
@@ -4,6 +4,9 @@ const app = require('./app');
 const config = require('./config');
 const connectDB = require('./config/database');
 const { initializeSocket } = require('./socket');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+const { startExpirySweeper, stopExpirySweeper } = require('./services/messageExpiry');
+const { getTransport } = require('./services/mail');
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -30,9 +33,16 @@ app.set('io', io);
  */
 const startServer = async () => {
     try {
+        // Fail fast on a missing or unknown mail driver
+        getTransport();
+
         // Connect to MongoDB
         await connectDB();
 
+        // Deliver scheduled messages and remove disappearing ones
+        startScheduler(io);
+        startExpirySweeper(io);
+
         // Start listening
         server.listen(config.port, () => {
             console.log('');
@@ -52,6 +62,9 @@ const startServer = async () => {
         const gracefulShutdown = (signal) => {
             console.log(`\n${signal} received. Shutting down gracefully...`);
 
+            stopScheduler();
+            stopExpirySweeper();
+
             server.close(() => {
                 console.log('HTTP server closed.');
                 process.exit(0);
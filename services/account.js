@@ -0,0 +1,189 @@
+const path = require('path');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const User = require('../models/User');
+const ChatRoom = require('../models/ChatRoom');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { sanitizeUser } = require('../utils');
+const storage = require('./storage');
+
+/**
+ * Placeholder sender for messages whose author deleted their account.
+ * It never resolves to a user, so populated senders come back as null.
+ */
+const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+/**
+ * Stream a cursor as a pretty-printed JSON array
+ * @param {Cursor} cursor - Mongoose query cursor
+ * @param {Function} transform - Maps each document before serializing
+ * @returns {Readable}
+ */
+const jsonArrayStream = (cursor, transform = (doc) => doc) => {
+    return Readable.from((async function* () {
+        let first = true;
+        yield '[\n';
+        for await (const doc of cursor) {
+            yield `${first ? '' : ',\n'}${JSON.stringify(transform(doc), null, 2)}`;
+            first = false;
+        }
+        yield '\n]\n';
+    })());
+};
+
+/**
+ * Write a zip archive with all personal data of a user to a stream:
+ * profile, contacts, rooms, authored messages and uploaded files
+ * @param {string} userId - User ID
+ * @param {Writable} output - Destination stream (e.g. the HTTP response)
+ * @returns {Promise<void>} - Resolves when the archive has been finalized
+ */
+const writeExportArchive = async (userId, output) => {
+    const user = await User.findById(userId)
+        .populate('contacts', 'username email avatar');
+
+    const rooms = await ChatRoom.find({ 'participants.user': userId })
+        .populate('participants.user', 'username')
+        .lean();
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (error) => console.error('Export archive warning:', error));
+    archive.pipe(output);
+
+    // A failing source stream, DB cursor or output must end the export instead
+    // of hanging it (archiver ignores source errors) or crashing the process
+    // (an unhandled 'error' event)
+    let fail;
+    const failed = new Promise((resolve, reject) => {
+        fail = (error) => {
+            archive.abort();
+            output.destroy();
+            reject(error);
+        };
+    });
+    failed.catch(() => {}); // Surfaced through the races below
+    archive.on('error', fail);
+
+    const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+    archive.append(json({ ...sanitizeUser(user), contacts: undefined }), { name: 'profile.json' });
+    archive.append(json(user.contacts), { name: 'contacts.json' });
+    archive.append(json(rooms.map((room) => {
+        const self = room.participants.find((p) => p.user && p.user._id.toString() === userId.toString());
+        return {
+            _id: room._id,
+            name: room.name,
+            description: room.description,
+            type: room.type,
+            role: self?.role,
+            joinedAt: self?.joinedAt,
+            participants: room.participants.map((p) => p.user?.username).filter(Boolean),
+            isActive: room.isActive,
+            createdAt: room.createdAt,
+        };
+    })), { name: 'rooms.json' });
+
+    // Messages may be numerous - stream them straight from the database
+    const messageCursor = Message.find({ sender: userId })
+        .sort({ createdAt: 1 })
+        .select('-readBy -deliveredTo -poll.options.voters')
+        .lean()
+        .cursor();
+    archive.append(jsonArrayStream(messageCursor).on('error', fail), { name: 'messages.json' });
+
+    // Uploaded files that are still in storage (originals only, keyed by URL to skip forwarded copies)
+    const files = new Map([[user.avatar, { ...user.toObject().avatarFile, url: user.avatar }]]);
+    for await (const message of Message.find({ sender: userId, 'media.url': { $exists: true } })
+        .select('media.url media.key media.storage')
+        .lean()
+        .cursor()) {
+        files.set(message.media.url, message.media);
+    }
+
+    for (const file of files.values()) {
+        let stream;
+        try {
+            stream = await storage.openFile(file);
+        } catch {
+            continue; // External URL or already removed
+        }
+
+        // One file at a time so remote stores don't get a connection per file
+        stream.on('error', fail);
+        let appended;
+        try {
+            await Promise.race([failed, new Promise((resolve) => {
+                appended = resolve;
+                archive.once('entry', appended);
+                archive.append(stream, {
+                    name: path.posix.join('files', file.key || file.url.replace(/^\/uploads\//, '')),
+                });
+            })]);
+        } finally {
+            archive.off('entry', appended);
+        }
+    }
+
+    await Promise.race([failed, archive.finalize()]);
+};
+
+/**
+ * Permanently delete a user account
+ * - authored messages are kept but anonymized
+ * - the user leaves every chat room (admin role handed off like leaveGroup)
+ * - contacts, sessions and the avatar file are cleaned up
+ * @param {User} user - User to delete
+ * @param {Server} io - Socket.IO server (optional), used to drop live connections
+ * @returns {Promise<void>}
+ */
+const deleteAccount = async (user, io = null) => {
+    const userId = user._id;
+
+    // Sign out everywhere first so nothing new gets written
+    await Session.revokeAllForUser(userId, 'account_deleted');
+    if (io) io.disconnectUser(userId);
+
+    // Nothing scheduled may be delivered after the account is gone
+    await ScheduledMessage.deleteMany({ sender: userId });
+
+    // Anonymize authored messages and drop receipts and poll votes
+    await Message.updateMany({ sender: userId }, { sender: DELETED_USER_ID });
+    await Message.updateMany({ 'readBy.user': userId }, { $pull: { readBy: { user: userId } } });
+    await Message.updateMany(
+        { 'poll.options.voters': userId },
+        { $pull: { 'poll.options.$[].voters': userId } }
+    );
+
+    // Leave every chat room
+    const chatRooms = await ChatRoom.find({ 'participants.user': userId });
+    for (const chatRoom of chatRooms) {
+        chatRoom.leave(userId);
+
+        // A private chat cannot continue with a single participant
+        if (chatRoom.type === 'private') {
+            chatRoom.isActive = false;
+        }
+
+        await chatRoom.save();
+    }
+
+    await User.updateMany({ contacts: userId }, { $pull: { contacts: userId } });
+
+    // Only files we know the user uploaded; `avatar` itself can be set to any URL
+    const { avatarFile } = user.toObject();
+    if (avatarFile && avatarFile.key) {
+        await storage.removeFile(avatarFile).catch(() => {});
+    }
+
+    await Session.deleteMany({ user: userId });
+    await user.deleteOne();
+};
+
+module.exports = {
+    DELETED_USER_ID,
+    writeExportArchive,
+    deleteAccount,
+};
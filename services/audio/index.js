@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { analyzeWav } = require('./wav');
+const { analyzeMp3 } = require('./mp3');
+const { analyzeOgg } = require('./ogg');
+
+// Number of bars in the stored waveform
+const WAVEFORM_POINTS = 64;
+
+const ANALYZERS = {
+    'audio/wav': analyzeWav,
+    'audio/x-wav': analyzeWav,
+    'audio/wave': analyzeWav,
+    'audio/ogg': analyzeOgg,
+    'audio/opus': analyzeOgg,
+    'audio/mpeg': analyzeMp3,
+    'audio/mp3': analyzeMp3,
+};
+
+/**
+ * Pick an analyzer from the file's magic bytes, falling back to the MIME type
+ * Browsers are loose about audio MIME types, so the bytes are more reliable.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Declared MIME type
+ * @returns {Function|undefined}
+ */
+const detectAnalyzer = (buffer, mimetype) => {
+    const magic = buffer.toString('ascii', 0, 4);
+
+    if (magic === 'RIFF') return analyzeWav;
+    if (magic === 'OggS') return analyzeOgg;
+    if (magic.startsWith('ID3')) return analyzeMp3;
+
+    return ANALYZERS[mimetype];
+};
+
+/**
+ * Resample a waveform to a fixed number of points in 0..1
+ * @param {number[]} values - Raw amplitudes in 0..1
+ * @param {number} points - Output length
+ * @returns {number[]}
+ */
+const resample = (values, points) => {
+    if (values.length === 0) return [];
+
+    return Array.from({ length: points }, (_, i) => {
+        const value = values[Math.min(values.length - 1, Math.floor((i * values.length) / points))];
+        return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+    });
+};
+
+/**
+ * Read duration and a downsampled waveform from an audio file
+ * Supports WAV (PCM/float), Ogg Opus/Vorbis and MP3.
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} mimetype - Declared MIME type
+ * @returns {Promise<object>} - { duration (seconds), waveform (number[]) }
+ */
+const analyzeAudio = async (filePath, mimetype) => {
+    const buffer = await fs.promises.readFile(filePath);
+
+    const analyze = detectAnalyzer(buffer, mimetype);
+    if (!analyze) {
+        throw new Error(`Unsupported audio type ${mimetype}`);
+    }
+
+    const { duration, waveform } = analyze(buffer, WAVEFORM_POINTS);
+
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error('Audio file has no playable content');
+    }
+
+    return {
+        duration: Math.round(duration * 100) / 100,
+        waveform: resample(waveform, WAVEFORM_POINTS),
+    };
+};
+
+module.exports = {
+    analyzeAudio,
+    WAVEFORM_POINTS,
+};
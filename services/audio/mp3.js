@@ -0,0 +1,200 @@
+/**
+ * MP3 (MPEG audio) frame reader
+ * Duration comes from walking every frame header. Decoding is out of scope,
+ * so the waveform uses each Layer III frame's global gain (the quantizer step
+ * size, which tracks loudness) as an amplitude estimate.
+ */
+
+// Bitrates in kbps, indexed by [versionGroup][layer][index]
+// versionGroup 0 = MPEG1, 1 = MPEG2/2.5
+const BITRATES = [
+    {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    },
+    {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    },
+];
+
+const SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG1
+    2: [22050, 24000, 16000], // MPEG2
+    0: [11025, 12000, 8000], // MPEG2.5
+};
+
+/**
+ * Parse a frame header at `offset`
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Byte offset
+ * @returns {object|null} - Frame info, or null if there is no valid header here
+ */
+const parseFrameHeader = (buffer, offset) => {
+    if (offset + 4 > buffer.length) return null;
+
+    const header = buffer.readUInt32BE(offset);
+    if ((header >>> 21) !== 0x7ff) return null; // 11-bit frame sync
+
+    const versionBits = (header >>> 19) & 0x3;
+    const layerBits = (header >>> 17) & 0x3;
+    const protectionBit = (header >>> 16) & 0x1;
+    const bitrateIndex = (header >>> 12) & 0xf;
+    const sampleRateIndex = (header >>> 10) & 0x3;
+    const padding = (header >>> 9) & 0x1;
+    const channelMode = (header >>> 6) & 0x3;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const layer = 4 - layerBits;
+    const isMpeg1 = versionBits === 3;
+    const bitrate = BITRATES[isMpeg1 ? 0 : 1][layer][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+    let samples;
+    let length;
+    if (layer === 1) {
+        samples = 384;
+        length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+        samples = layer === 3 && !isMpeg1 ? 576 : 1152;
+        length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+    }
+
+    return {
+        layer,
+        isMpeg1,
+        mono: channelMode === 3,
+        hasCrc: protectionBit === 0,
+        sampleRate,
+        samples,
+        length,
+    };
+};
+
+/**
+ * Read `count` bits starting at a bit offset
+ * @param {Buffer} buffer - File contents
+ * @param {number} bitOffset - Offset in bits
+ * @param {number} count - Number of bits (<= 24)
+ * @returns {number}
+ */
+const readBits = (buffer, bitOffset, count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+        const bit = bitOffset + i;
+        value = (value << 1) | ((buffer[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+};
+
+/**
+ * Global gain of the first granule of a Layer III frame (0 when silent)
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Frame offset
+ * @param {object} frame - Parsed frame header
+ * @returns {number}
+ */
+const readGlobalGain = (buffer, offset, frame) => {
+    const sideInfo = (offset + 4 + (frame.hasCrc ? 2 : 0)) * 8;
+
+    // main_data_begin + private bits (+ scfsi for MPEG1) come before granule 0
+    let skip;
+    if (frame.isMpeg1) skip = 9 + (frame.mono ? 5 : 3) + (frame.mono ? 4 : 8);
+    else skip = 8 + (frame.mono ? 1 : 2);
+
+    const start = sideInfo + skip;
+    if ((start + 29) >> 3 >= buffer.length) return 0;
+
+    const bigValues = readBits(buffer, start + 12, 9);
+    const globalGain = readBits(buffer, start + 21, 8);
+
+    return bigValues > 0 ? globalGain : 0;
+};
+
+/**
+ * Length of a leading ID3v2 tag
+ * @param {Buffer} buffer - File contents
+ * @returns {number}
+ */
+const id3v2Length = (buffer) => {
+    if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+
+    // Synchsafe integer: 7 bits per byte
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+
+    return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Analyze an MP3 file
+ * @param {Buffer} buffer - File contents
+ * @param {number} points - Waveform length
+ * @returns {object} - { duration, waveform }
+ */
+const analyzeMp3 = (buffer, points) => {
+    let offset = id3v2Length(buffer);
+    let totalSamples = 0;
+    let sampleRate = 0;
+    const frames = []; // [startSample, gain]
+
+    while (offset < buffer.length) {
+        const frame = parseFrameHeader(buffer, offset);
+
+        // Require the next frame to line up too, so random 0xFFE bytes aren't taken as frames
+        const next = frame && offset + frame.length;
+        const confirmed = frame && frame.length > 4
+            && (next >= buffer.length || parseFrameHeader(buffer, next));
+
+        if (!confirmed) {
+            offset++;
+            continue;
+        }
+
+        // The Xing/Info frame holds VBR metadata, not audio
+        const tag = buffer.toString('ascii', offset + 4, Math.min(offset + frame.length, offset + 40));
+        if (frames.length === 0 && totalSamples === 0 && /Xing|Info|VBRI/.test(tag)) {
+            offset = next;
+            continue;
+        }
+
+        sampleRate = sampleRate || frame.sampleRate;
+        frames.push([totalSamples, frame.layer === 3 ? readGlobalGain(buffer, offset, frame) : 1]);
+        totalSamples += frame.samples;
+        offset = next;
+    }
+
+    if (frames.length === 0 || !sampleRate) {
+        throw new Error('No MPEG audio frames found');
+    }
+
+    const duration = totalSamples / sampleRate;
+
+    // Bucket frames by time and keep the loudest gain per bucket
+    const buckets = new Array(Math.min(points, frames.length)).fill(0);
+    for (const [start, gain] of frames) {
+        const index = Math.min(buckets.length - 1, Math.floor((start / totalSamples) * buckets.length));
+        buckets[index] = Math.max(buckets[index], gain);
+    }
+
+    // Gain is logarithmic (1.5 dB per step); map the file's range onto 0..1
+    const audible = buckets.filter((g) => g > 0);
+    const min = Math.min(...audible);
+    const max = Math.max(...audible);
+    const waveform = buckets.map((g) => {
+        if (g === 0) return 0;
+        if (max === min) return 1;
+        return 0.1 + (0.9 * (g - min)) / (max - min);
+    });
+
+    return { duration, waveform };
+};
+
+module.exports = {
+    analyzeMp3,
+};
@@ -0,0 +1,122 @@
+/**
+ * WAV (RIFF/WAVE) reader
+ * Supports PCM 8/16/24/32-bit integer and 32/64-bit float samples.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Read one sample as a value in [-1, 1]
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Byte offset of the sample
+ * @param {object} fmt - { format, bitsPerSample }
+ * @returns {number}
+ */
+const readSample = (buffer, offset, fmt) => {
+    if (fmt.format === FORMAT_FLOAT) {
+        const value = fmt.bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+
+        // NaN would poison every peak it touches (and serialize as null)
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    switch (fmt.bitsPerSample) {
+        case 8:
+            return (buffer.readUInt8(offset) - 128) / 128; // 8-bit PCM is unsigned
+        case 16:
+            return buffer.readInt16LE(offset) / 32768;
+        case 24:
+            return buffer.readIntLE(offset, 3) / 8388608;
+        case 32:
+            return buffer.readInt32LE(offset) / 2147483648;
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Analyze a WAV file
+ * @param {Buffer} buffer - File contents
+ * @param {number} points - Waveform length
+ * @returns {object} - { duration, waveform }
+ */
+const analyzeWav = (buffer, points) => {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let fmt = null;
+    let dataOffset = -1;
+    let dataSize = 0;
+
+    // Walk the chunk list
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ' && body + 16 <= buffer.length) {
+            let format = buffer.readUInt16LE(body);
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+            if (format === FORMAT_EXTENSIBLE && size >= 26 && body + 26 <= buffer.length) {
+                format = buffer.readUInt16LE(body + 24);
+            }
+
+            fmt = {
+                format,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                blockAlign: buffer.readUInt16LE(body + 12),
+                bitsPerSample: buffer.readUInt16LE(body + 14),
+            };
+        } else if (id === 'data') {
+            dataOffset = body;
+            // Streams written without a final size report 0 or 0xFFFFFFFF
+            dataSize = Math.min(size || Infinity, buffer.length - body);
+            break;
+        }
+
+        offset = body + size + (size % 2); // Chunks are word aligned
+    }
+
+    if (!fmt || dataOffset < 0) {
+        throw new Error('WAV file is missing fmt or data chunk');
+    }
+
+    if (![FORMAT_PCM, FORMAT_FLOAT].includes(fmt.format) || !fmt.sampleRate || !fmt.blockAlign) {
+        throw new Error('Unsupported WAV encoding');
+    }
+
+    const frames = Math.floor(dataSize / fmt.blockAlign);
+    const duration = frames / fmt.sampleRate;
+
+    // Peak of the first channel per bucket, sampling at most ~256 frames per bucket
+    const bytesPerSample = fmt.bitsPerSample / 8;
+    const framesPerPoint = Math.max(1, Math.floor(frames / points));
+    const step = Math.max(1, Math.floor(framesPerPoint / 256));
+    const peaks = [];
+
+    for (let point = 0; point < points && point * framesPerPoint < frames; point++) {
+        let peak = 0;
+        const end = Math.min(frames, (point + 1) * framesPerPoint);
+
+        for (let frame = point * framesPerPoint; frame < end; frame += step) {
+            const sampleOffset = dataOffset + frame * fmt.blockAlign;
+            if (sampleOffset + bytesPerSample > buffer.length) break;
+
+            peak = Math.max(peak, Math.abs(readSample(buffer, sampleOffset, fmt)));
+        }
+
+        peaks.push(Math.min(1, peak));
+    }
+
+    return { duration, waveform: peaks };
+};
+
+module.exports = {
+    analyzeWav,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const config = require('../config');
+
+/**
+ * Path of a generated size next to the original
+ * e.g. uploads/images/cat-123.jpg -> uploads/images/cat-123-thumbnail.webp
+ * @param {string} filePath - Original file path
+ * @param {string} name - Size name
+ * @returns {string}
+ */
+const variantPath = (filePath, name) => {
+    const { dir, name: base } = path.parse(filePath);
+    return path.join(dir, `${base}-${name}.webp`);
+};
+
+/**
+ * Encoder options for writing a file back in its own format
+ * @param {string} format - sharp format name
+ * @returns {object}
+ */
+const formatOptions = (format) => {
+    return ['jpeg', 'webp'].includes(format) ? { quality: config.images.quality } : {};
+};
+
+/**
+ * Re-encode an image in place without its metadata
+ * sharp drops EXIF, XMP and IPTC (including GPS) unless asked to keep them.
+ * The EXIF orientation is applied to the pixels first so the image still
+ * displays the right way up.
+ * @param {string} filePath - Image path
+ * @returns {Promise<object>} - { width, height, size } of the stored image
+ */
+const stripMetadata = async (filePath) => {
+    const { format, pages } = await sharp(filePath).metadata();
+    const animated = pages > 1;
+
+    let pipeline = sharp(filePath, { animated });
+    if (!animated) pipeline = pipeline.rotate();
+
+    // Read fully before overwriting the source
+    const { data, info } = await pipeline
+        .toFormat(format, formatOptions(format))
+        .toBuffer({ resolveWithObject: true });
+
+    await fs.promises.writeFile(filePath, data);
+
+    return { width: info.width, height: info.pageHeight || info.height, size: data.length };
+};
+
+/**
+ * Compute a blurhash placeholder
+ * @param {string} filePath - Image path
+ * @returns {Promise<string>}
+ */
+const createBlurhash = async (filePath) => {
+    const { data, info } = await sharp(filePath)
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Write a downscaled WebP copy
+ * @param {string} filePath - Original image path
+ * @param {string} name - Size name
+ * @param {number} size - Longest side in px
+ * @returns {Promise<object>} - { path, width, height }
+ */
+const createVariant = async (filePath, name, size) => {
+    const outputPath = variantPath(filePath, name);
+
+    const info = await sharp(filePath)
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: config.images.quality })
+        .toFile(outputPath);
+
+    return { path: outputPath, width: info.width, height: info.height };
+};
+
+/**
+ * Post-upload pipeline for images attached to messages
+ * - strips EXIF/GPS metadata from the original (in place)
+ * - writes thumbnail and preview sizes next to it
+ * - reads dimensions and a blurhash placeholder
+ * @param {string} filePath - Uploaded image path
+ * @returns {Promise<object>} - { width, height, size, blurhash, thumbnail, preview }
+ */
+const processImage = async (filePath) => {
+    const variants = [];
+
+    try {
+        const { width, height, size } = await stripMetadata(filePath);
+
+        const thumbnail = await createVariant(filePath, 'thumbnail', config.images.thumbnailSize);
+        variants.push(thumbnail.path);
+
+        const preview = await createVariant(filePath, 'preview', config.images.previewSize);
+        variants.push(preview.path);
+
+        const blurhash = await createBlurhash(thumbnail.path);
+
+        return { width, height, size, blurhash, thumbnail, preview };
+    } catch (error) {
+        // Don't leave half the sizes behind
+        await Promise.all(variants.map((p) => fs.promises.unlink(p).catch(() => {})));
+        throw error;
+    }
+};
+
+/**
+ * Normalize an avatar to a metadata-free square crop (in place)
+ * The crop is centered on the most interesting region rather than the middle.
+ * @param {string} filePath - Uploaded image path
+ * @returns {Promise<void>}
+ */
+const processAvatar = async (filePath) => {
+    const { format } = await sharp(filePath).metadata();
+    const size = config.images.avatarSize;
+
+    const data = await sharp(filePath)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+        .toFormat(format, formatOptions(format))
+        .toBuffer();
+
+    await fs.promises.writeFile(filePath, data);
+};
+
+module.exports = {
+    processImage,
+    processAvatar,
+};
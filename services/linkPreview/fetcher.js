@@ -0,0 +1,183 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * SSRF-guarded HTML fetcher
+ * Every hop (including redirects) is resolved and checked against private,
+ * loopback, link-local and other non-public ranges before connecting. The
+ * check runs in the socket's DNS lookup so a rebinding answer can't slip past.
+ */
+
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 96], // Unspecified, loopback and IPv4-compatible (::127.0.0.1)
+    ['64:ff9b::', 96], // NAT64, reaches the embedded IPv4 address
+    ['64:ff9b:1::', 48], // Local-use NAT64
+    ['2002::', 16], // 6to4, embeds an IPv4 address
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blockList.check(mapped[1], 'ipv4');
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * DNS lookup that refuses private addresses
+ * @param {boolean} allowPrivate - Skip the check (local fixtures, tests)
+ * @returns {Function} - net-compatible lookup function
+ */
+const createGuardedLookup = (allowPrivate) => (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+
+        const blocked = !allowPrivate && addresses.find((a) => isPrivateAddress(a.address));
+        if (blocked) {
+            return callback(new Error(`Refusing to connect to private address ${blocked.address}`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Make a single GET request and read at most `maxBytes` of the body
+ * @param {URL} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @returns {Promise<object>} - { status, headers, body }
+ */
+const request = (url, options) => {
+    return new Promise((resolve, reject) => {
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+
+        // IP literals never go through the DNS lookup
+        if (net.isIP(host) && !options.allowPrivate && isPrivateAddress(host)) {
+            return reject(new Error(`Refusing to connect to private address ${host}`));
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            headers: {
+                'User-Agent': options.userAgent,
+                Accept: 'text/html,application/xhtml+xml',
+            },
+            lookup: createGuardedLookup(options.allowPrivate),
+            timeout: options.timeout,
+        });
+
+        const timer = setTimeout(() => req.destroy(new Error('Link preview request timed out')), options.timeout);
+
+        req.on('timeout', () => req.destroy(new Error('Link preview request timed out')));
+        req.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+
+        req.on('response', (res) => {
+            const chunks = [];
+            let size = 0;
+
+            const finish = () => {
+                clearTimeout(timer);
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8'),
+                });
+            };
+
+            // Redirects and non-HTML responses don't need a body
+            const contentType = res.headers['content-type'] || '';
+            if (res.statusCode >= 300 || !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+                res.resume();
+                req.destroy();
+                return finish();
+            }
+
+            res.on('data', (chunk) => {
+                const remaining = options.maxBytes - size;
+                chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+                size += chunk.length;
+
+                // The <head> is all we need, so stop once the limit is reached
+                if (size >= options.maxBytes) {
+                    res.destroy();
+                    finish();
+                }
+            });
+            res.on('end', finish);
+            res.on('error', (err) => {
+                clearTimeout(timer);
+                reject(err);
+            });
+        });
+    });
+};
+
+/**
+ * Fetch an HTML page, following a limited number of redirects
+ * @param {string} rawUrl - Page URL
+ * @param {object} options - { timeout, maxBytes, maxRedirects, allowPrivate, userAgent }
+ * @returns {Promise<object>} - { url, html } (html is null for non-HTML responses)
+ */
+const fetchHtml = async (rawUrl, options) => {
+    let url = new URL(rawUrl);
+
+    for (let hop = 0; hop <= options.maxRedirects; hop++) {
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error(`Unsupported protocol ${url.protocol}`);
+        }
+
+        const response = await request(url, options);
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            url = new URL(response.headers.location, url);
+            continue;
+        }
+
+        if (response.status !== 200) {
+            throw new Error(`Link preview request failed with status ${response.status}`);
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        const isHtml = /text\/html|application\/xhtml\+xml/i.test(contentType);
+
+        return { url: url.toString(), html: isHtml ? response.body : null };
+    }
+
+    throw new Error('Too many redirects');
+};
+
+module.exports = {
+    fetchHtml,
+    isPrivateAddress,
+};
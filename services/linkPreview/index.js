@@ -0,0 +1,96 @@
+const config = require('../../config');
+const Message = require('../../models/Message');
+const LinkPreview = require('../../models/LinkPreview');
+const { extractUrls } = require('../../utils');
+const { fetchHtml } = require('./fetcher');
+const { parseMetadata } = require('./parser');
+
+// URL -> pending fetch, so concurrent sends of the same link share one request
+const inFlight = new Map();
+
+/**
+ * Fetch and parse a page, bypassing the cache
+ * @param {string} url - Page URL
+ * @param {object} options - Overrides for config.linkPreview
+ * @returns {Promise<object|null>} - Preview metadata, or null if there is none
+ */
+const fetchPreview = async (url, options = {}) => {
+    const settings = { ...config.linkPreview, ...options };
+
+    const page = await fetchHtml(url, settings);
+    if (!page.html) return null;
+
+    const preview = parseMetadata(page.html, page.url);
+    return preview && { url, ...preview };
+};
+
+/**
+ * Get the preview for a URL, using the cache collection
+ * @param {string} url - Page URL
+ * @param {object} options - Overrides for config.linkPreview
+ * @returns {Promise<object|null>}
+ */
+const getPreview = async (url, options = {}) => {
+    const cached = await LinkPreview.findOne({ url });
+    if (cached) return cached.toPreview();
+
+    if (!inFlight.has(url)) {
+        const pending = (async () => {
+            let preview = null;
+            try {
+                preview = await fetchPreview(url, options);
+            } catch (error) {
+                console.error(`Link preview failed for ${url}:`, error.message);
+            }
+
+            const ttl = preview ? config.linkPreview.cacheTtl : config.linkPreview.failureCacheTtl;
+            await LinkPreview.findOneAndUpdate(
+                { url },
+                { ...preview, url, failed: !preview, expiresAt: new Date(Date.now() + ttl) },
+                { upsert: true }
+            );
+
+            return preview;
+        })().finally(() => inFlight.delete(url));
+
+        inFlight.set(url, pending);
+    }
+
+    return inFlight.get(url);
+};
+
+/**
+ * Attach previews for the URLs in a message and broadcast the update.
+ * Runs after the message was sent; failures never reach the sender.
+ * @param {Server} io - Socket.IO server
+ * @param {Message} message - Newly sent message
+ */
+const unfurlMessage = async (io, message) => {
+    if (!config.linkPreview.enabled) return;
+
+    const urls = extractUrls(message.content).slice(0, config.linkPreview.maxPerMessage);
+    if (urls.length === 0) return;
+
+    try {
+        const previews = (await Promise.all(urls.map((url) => getPreview(url)))).filter(Boolean);
+        if (previews.length === 0) return;
+
+        const updated = await Message.findOneAndUpdate(
+            { _id: message._id, isDeleted: false },
+            { linkPreviews: previews },
+            { new: true }
+        ).populate('sender', 'username avatar');
+
+        if (updated && io) {
+            io.to(`room:${updated.chatRoom}`).emit('message:updated', updated);
+        }
+    } catch (error) {
+        console.error('Error attaching link previews:', error);
+    }
+};
+
+module.exports = {
+    fetchPreview,
+    getPreview,
+    unfurlMessage,
+};
@@ -0,0 +1,112 @@
+/**
+ * Open Graph / meta tag extraction
+ * A small regex-based reader for the document head; it only needs a handful
+ * of tags so a full HTML parser isn't worth the dependency.
+ */
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+/**
+ * Decode the HTML entities that commonly appear in meta content
+ * @param {string} str - Encoded string
+ * @returns {string}
+ */
+const decodeEntities = (str) => {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+};
+
+/**
+ * Parse the attributes of a single tag
+ * @param {string} tag - Tag source, e.g. <meta property="og:title" content="x">
+ * @returns {object} - Lower-cased attribute names to decoded values
+ */
+const parseAttributes = (tag) => {
+    const attributes = {};
+
+    for (const match of tag.matchAll(/([a-zA-Z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+
+    return attributes;
+};
+
+/**
+ * Collapse whitespace and cap the length of a text value
+ * @param {string} value - Raw value
+ * @param {number} max - Maximum length
+ * @returns {string|undefined}
+ */
+const clean = (value, max) => {
+    if (!value) return undefined;
+
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (!text) return undefined;
+
+    return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+};
+
+/**
+ * Resolve a possibly relative http(s) URL
+ * @param {string} value - URL from the page
+ * @param {string} baseUrl - Page URL
+ * @returns {string|undefined}
+ */
+const absoluteUrl = (value, baseUrl) => {
+    if (!value) return undefined;
+
+    try {
+        const url = new URL(value.trim(), baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Extract preview metadata from an HTML document
+ * @param {string} html - Page HTML (may be truncated)
+ * @param {string} baseUrl - Final page URL, for resolving relative image URLs
+ * @returns {object|null} - { title, description, image, siteName }, or null if nothing useful was found
+ */
+const parseMetadata = (html, baseUrl) => {
+    const meta = {};
+
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+
+        // First occurrence wins
+        if (key && attributes.content !== undefined && !(key in meta)) {
+            meta[key] = attributes.content;
+        }
+    }
+
+    const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+    const preview = {
+        title: clean(meta['og:title'] || meta['twitter:title'] || (titleTag && decodeEntities(titleTag[1])), 300),
+        description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 1000),
+        image: absoluteUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], baseUrl),
+        siteName: clean(meta['og:site_name'], 100),
+    };
+
+    return preview.title || preview.description ? preview : null;
+};
+
+module.exports = {
+    parseMetadata,
+    decodeEntities,
+};
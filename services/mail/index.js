@@ -0,0 +1,66 @@
+const config = require('../../config');
+const templates = require('./templates');
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const createConsoleTransport = require('./transports/console');
+
+/**
+ * Mail transport drivers
+ * A transport is any object exposing { name, send(message) => Promise<info> }
+ */
+const drivers = {
+    smtp: () => createSmtpTransport(config.mail.smtp),
+    file: () => createFileTransport({ directory: config.mail.fileDirectory }),
+    console: () => createConsoleTransport(),
+};
+
+let transport = null;
+
+/**
+ * Get the configured mail transport (created lazily)
+ * @returns {object}
+ */
+const getTransport = () => {
+    if (!transport) {
+        if (!config.mail.driver) {
+            throw new Error('MAIL_DRIVER must be set in production (smtp or file)');
+        }
+
+        const createDriver = drivers[config.mail.driver];
+
+        if (!createDriver) {
+            throw new Error(`Unknown mail driver: ${config.mail.driver}`);
+        }
+
+        transport = createDriver();
+    }
+
+    return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom driver)
+ * @param {object} customTransport - Transport implementing send()
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} - Transport result
+ */
+const sendMail = async (message) => {
+    return getTransport().send({
+        from: config.mail.from,
+        ...message,
+    });
+};
+
+module.exports = {
+    getTransport,
+    setTransport,
+    sendMail,
+    templates,
+};
@@ -0,0 +1,61 @@
+/**
+ * Mail templates
+ * Each template returns { subject, text, html }
+ */
+
+/**
+ * Password reset email
+ * @param {object} user - Recipient user
+ * @param {string} resetUrl - Link to the reset page
+ * @param {number} expiresInMinutes - Link validity
+ * @returns {object}
+ */
+const passwordReset = (user, resetUrl, expiresInMinutes) => ({
+    subject: 'Reset your password',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+    html: `
+        <p>Hi ${user.username},</p>
+        <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+        <p><a href="${resetUrl}">Reset password</a></p>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you did not request a password reset, you can ignore this email.</p>
+    `,
+});
+
+/**
+ * Email address verification email
+ * @param {object} user - Recipient user
+ * @param {string} verifyUrl - Verification link
+ * @param {number} expiresInHours - Link validity
+ * @returns {object}
+ */
+const emailVerification = (user, verifyUrl, expiresInHours) => ({
+    subject: 'Verify your email address',
+    text: [
+        `Hi ${user.username},`,
+        '',
+        'Thanks for signing up! Please confirm your email address by opening the link below:',
+        verifyUrl,
+        '',
+        `This link expires in ${expiresInHours} hours.`,
+    ].join('\n'),
+    html: `
+        <p>Hi ${user.username},</p>
+        <p>Thanks for signing up! Please confirm your email address by opening the link below:</p>
+        <p><a href="${verifyUrl}">Verify email</a></p>
+        <p>This link expires in ${expiresInHours} hours.</p>
+    `,
+});
+
+module.exports = {
+    passwordReset,
+    emailVerification,
+};
@@ -0,0 +1,22 @@
+/**
+ * Console mail transport
+ * Prints messages to stdout instead of sending them (local development)
+ * @returns {object} - Transport with a send() method
+ */
+const createConsoleTransport = () => {
+    return {
+        name: 'console',
+        send: async (message) => {
+            console.log('📧 Outgoing mail');
+            console.log(`   To:      ${message.to}`);
+            console.log(`   Subject: ${message.subject}`);
+            console.log('');
+            console.log(message.text);
+            console.log('');
+
+            return { messageId: `console-${Date.now()}` };
+        },
+    };
+};
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File mail transport
+ * Writes each message as a JSON file instead of sending it (local testing)
+ * @param {object} options - { directory }
+ * @returns {object} - Transport with a send() method
+ */
+const createFileTransport = (options) => {
+    const directory = path.resolve(options.directory);
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.promises.mkdir(directory, { recursive: true });
+
+            const messageId = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+            const filePath = path.join(directory, `${messageId}.json`);
+
+            await fs.promises.writeFile(
+                filePath,
+                JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+            );
+
+            return { messageId, path: filePath };
+        },
+    };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,31 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Delivers mail through any SMTP server using nodemailer
+ * @param {object} options - SMTP connection options
+ * @returns {object} - Transport with a send() method
+ */
+const createSmtpTransport = (options) => {
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        ...(options.user && {
+            auth: {
+                user: options.user,
+                pass: options.pass,
+            },
+        }),
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+module.exports = createSmtpTransport;
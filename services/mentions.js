@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const { parseMentions } = require('../utils');
+
+/**
+ * Resolve the @mentions in a message to room participants.
+ * `@all` mentions everyone in the room, `@here` everyone currently online.
+ * The sender is never mentioned.
+ * @param {ChatRoom} chatRoom - Room the message is posted in
+ * @param {string} senderId - Message sender ID
+ * @param {string} content - Message text
+ * @returns {Promise<Array<string>>} - Mentioned user IDs
+ */
+const resolveMentions = async (chatRoom, senderId, content) => {
+    const { usernames, here, all } = parseMentions(content);
+
+    const participantIds = chatRoom.participants
+        .map((p) => p.user.toString())
+        .filter((id) => id !== senderId.toString());
+
+    if (participantIds.length === 0) return [];
+    if (all) return participantIds;
+
+    const conditions = [];
+    if (usernames.length > 0) conditions.push({ username: { $in: usernames } });
+    if (here) conditions.push({ status: 'online' });
+
+    if (conditions.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: participantIds }, $or: conditions })
+        .select('_id')
+        .lean();
+
+    return users.map((u) => u._id.toString());
+};
+
+module.exports = {
+    resolveMentions,
+};
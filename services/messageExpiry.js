@@ -0,0 +1,104 @@
+const config = require('../config');
+const Message = require('../models/Message');
+const ChatRoom = require('../models/ChatRoom');
+const storage = require('./storage');
+const { broadcastThreadUpdate } = require('../socket/chatHandler');
+
+let timer = null;
+let running = false;
+
+/**
+ * Remove one batch of expired messages and tell their rooms
+ * @param {Server} io - Socket.IO server
+ * @returns {Promise<number>} - Number of messages removed
+ */
+const sweepBatch = async (io) => {
+    const messages = await Message.find({ expiresAt: { $lte: new Date() } })
+        .select('chatRoom media threadRoot isDeleted createdAt')
+        .limit(config.messageExpiry.batchSize)
+        .lean();
+
+    if (messages.length === 0) return 0;
+
+    await Message.deleteMany({ _id: { $in: messages.map((m) => m._id) } });
+
+    // Files go after the messages so the shared-file check only sees survivors
+    for (const message of messages) {
+        await storage.releaseMedia(message.media);
+    }
+
+    // Group by room for pins, thread counters and one event per room
+    const byRoom = new Map();
+    for (const message of messages) {
+        const roomId = message.chatRoom.toString();
+        if (!byRoom.has(roomId)) byRoom.set(roomId, []);
+        byRoom.get(roomId).push(message._id);
+
+        if (message.threadRoot && !message.isDeleted) {
+            const root = await Message.recordThreadReplyDeleted(message.threadRoot, message);
+            if (io) broadcastThreadUpdate(io, roomId, root);
+        }
+    }
+
+    for (const [roomId, messageIds] of byRoom) {
+        await ChatRoom.updateOne(
+            { _id: roomId },
+            { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+        );
+
+        if (io) {
+            io.to(`room:${roomId}`).emit('message:expired', { chatRoomId: roomId, messageIds });
+        }
+    }
+
+    return messages.length;
+};
+
+/**
+ * Remove every expired message
+ * @param {Server} io - Socket.IO server
+ */
+const sweep = async (io) => {
+    if (running) return;
+    running = true;
+
+    try {
+        let removed;
+        do {
+            removed = await sweepBatch(io);
+        } while (removed === config.messageExpiry.batchSize);
+    } catch (error) {
+        console.error('Message expiry sweep failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the disappearing message sweeper. A sweeper is used instead of a TTL
+ * index because expired messages also need their files removed and a socket
+ * event sent.
+ * @param {Server} io - Socket.IO server
+ */
+const startExpirySweeper = (io) => {
+    if (timer) return;
+
+    timer = setInterval(() => sweep(io), config.messageExpiry.sweepInterval);
+    timer.unref();
+
+    sweep(io);
+};
+
+/**
+ * Stop the sweeper
+ */
+const stopExpirySweeper = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    startExpirySweeper,
+    stopExpirySweeper,
+    sweep,
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect relying-party client
+ * Authorization code flow with PKCE, discovery and JWKS-based ID token validation.
+ * Uses only Node built-ins (fetch, crypto) so it works against any issuer,
+ * including a local mock issuer.
+ */
+
+const DISCOVERY_TTL = 60 * 60 * 1000; // Re-fetch discovery documents hourly
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const discoveryCache = new Map(); // issuer -> { metadata, fetchedAt }
+const jwksCache = new Map(); // jwks_uri -> Map(kid -> KeyObject)
+
+/**
+ * Fetch JSON and fail on non-2xx responses
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options
+ * @returns {Promise<object>}
+ */
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(10000),
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const reason = body.error_description || body.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+    }
+
+    return body;
+};
+
+/**
+ * Load the issuer's discovery document
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<object>} - Provider metadata
+ */
+const discover = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== issuer) {
+        throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+    }
+
+    discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+    return metadata;
+};
+
+/**
+ * Get the signing key for a key ID, refreshing the JWKS once if it is unknown
+ * @param {string} jwksUri - JWKS endpoint
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>}
+ */
+const getSigningKey = async (jwksUri, kid) => {
+    let keys = jwksCache.get(jwksUri);
+
+    if (!keys || !keys.has(kid)) {
+        const { keys: jwks = [] } = await fetchJson(jwksUri);
+
+        keys = new Map(
+            jwks
+                .filter((jwk) => !jwk.use || jwk.use === 'sig')
+                .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+        );
+        jwksCache.set(jwksUri, keys);
+    }
+
+    const key = keys.get(kid) || (!kid && keys.size === 1 ? [...keys.values()][0] : null);
+
+    if (!key) {
+        throw new Error('OIDC signing key not found');
+    }
+
+    return key;
+};
+
+/**
+ * Base64url-encode a buffer
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Derive the PKCE code challenge for a verifier (S256)
+ * @param {string} codeVerifier - PKCE verifier
+ * @returns {string}
+ */
+const codeChallengeFor = (codeVerifier) => {
+    return base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+};
+
+/**
+ * Build the authorization URL to redirect the user to
+ * @param {object} provider - Provider settings
+ * @param {object} params - { redirectUri, state, nonce, codeVerifier }
+ * @returns {Promise<string>}
+ */
+const buildAuthorizationUrl = async (provider, params) => {
+    const metadata = await discover(provider.issuer);
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: params.redirectUri,
+        scope: provider.scopes,
+        state: params.state,
+        nonce: params.nonce,
+        code_challenge: codeChallengeFor(params.codeVerifier),
+        code_challenge_method: 'S256',
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {object} provider - Provider settings
+ * @param {object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<object>} - Token response
+ */
+const exchangeCode = async (provider, params) => {
+    const metadata = await discover(provider.issuer);
+
+    return fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: params.code,
+            redirect_uri: params.redirectUri,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code_verifier: params.codeVerifier,
+        }).toString(),
+    });
+};
+
+/**
+ * Validate an ID token and return its claims
+ * @param {object} provider - Provider settings
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Expected nonce
+ * @returns {Promise<object>} - Verified claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+    const metadata = await discover(provider.issuer);
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+        throw new Error('Malformed ID token');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: 30,
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+};
+
+module.exports = {
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+};
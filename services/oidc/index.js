@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const client = require('./client');
+
+const STATE_EXPIRES_IN = '10m';
+const STATE_MAX_AGE = 10 * 60 * 1000; // Same lifetime, for the browser cookie
+
+/**
+ * Get a configured OIDC provider
+ * @param {string} name - Provider name from the URL
+ * @returns {object|null} - Provider settings
+ */
+const getProvider = (name) => {
+    return Object.prototype.hasOwnProperty.call(config.oauth.providers, name)
+        ? { name, ...config.oauth.providers[name] }
+        : null;
+};
+
+/**
+ * Callback URL registered with the provider
+ * @param {object} provider - Provider settings
+ * @returns {string}
+ */
+const getRedirectUri = (provider) => {
+    return `${config.serverUrl}/api/auth/oauth/${provider.name}/callback`;
+};
+
+/**
+ * Derive a per-login secret from the state's random ID
+ * Keeps the flow stateless: the PKCE verifier and nonce never leave the server
+ * but can be recomputed on callback.
+ * @param {string} stateId - Random ID embedded in the state
+ * @param {string} purpose - 'pkce' | 'nonce'
+ * @returns {string}
+ */
+const deriveSecret = (stateId, purpose) => {
+    return crypto
+        .createHmac('sha256', config.jwtSecret)
+        .update(`oidc:${purpose}:${stateId}`)
+        .digest('base64url');
+};
+
+/**
+ * Start a login: build the provider's authorization URL
+ * The returned stateId must be stored in the browser (cookie) that started
+ * the login; the callback only succeeds from that browser.
+ * @param {object} provider - Provider settings
+ * @returns {Promise<object>} - { url, stateId }
+ */
+const createAuthorizationUrl = async (provider) => {
+    const stateId = crypto.randomBytes(16).toString('hex');
+    const state = jwt.sign(
+        { purpose: 'oidc_state', provider: provider.name, sid: stateId },
+        config.jwtSecret,
+        { expiresIn: STATE_EXPIRES_IN }
+    );
+
+    const url = await client.buildAuthorizationUrl(provider, {
+        redirectUri: getRedirectUri(provider),
+        state,
+        nonce: deriveSecret(stateId, 'nonce'),
+        codeVerifier: deriveSecret(stateId, 'pkce'),
+    });
+
+    return { url, stateId };
+};
+
+/**
+ * Finish a login: validate state, exchange the code and verify the ID token
+ * @param {object} provider - Provider settings
+ * @param {object} params - { code, state } from the callback query, stateId from the login cookie
+ * @returns {Promise<object>} - Verified ID token claims
+ */
+const completeAuthorization = async (provider, params) => {
+    const decoded = jwt.verify(params.state, config.jwtSecret);
+
+    if (decoded.purpose !== 'oidc_state' || decoded.provider !== provider.name) {
+        throw new Error('Invalid OAuth state');
+    }
+
+    // Bind the callback to the browser that started the login (prevents login CSRF)
+    const expected = Buffer.from(String(decoded.sid));
+    const presented = Buffer.from(String(params.stateId || ''));
+    if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+        throw new Error('OAuth state does not match this browser');
+    }
+
+    const tokens = await client.exchangeCode(provider, {
+        code: params.code,
+        redirectUri: getRedirectUri(provider),
+        codeVerifier: deriveSecret(decoded.sid, 'pkce'),
+    });
+
+    if (!tokens.id_token) {
+        throw new Error('Provider did not return an ID token');
+    }
+
+    return client.verifyIdToken(provider, tokens.id_token, deriveSecret(decoded.sid, 'nonce'));
+};
+
+module.exports = {
+    STATE_MAX_AGE,
+    getProvider,
+    createAuthorizationUrl,
+    completeAuthorization,
+};
@@ -0,0 +1,98 @@
+const config = require('../config');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const chatHandler = require('../socket/chatHandler');
+const { userSockets } = require('../socket');
+
+let timer = null;
+let running = false;
+
+/**
+ * Deliver one scheduled message through the live send path
+ * @param {Server} io - Socket.IO server
+ * @param {ScheduledMessage} scheduled - Claimed scheduled message
+ */
+const deliver = async (io, scheduled) => {
+    const senderId = scheduled.sender.toString();
+
+    let message;
+    try {
+        message = await chatHandler.sendMessageAs(senderId, {
+            chatRoomId: scheduled.chatRoom.toString(),
+            content: scheduled.content,
+            replyTo: scheduled.replyTo && scheduled.replyTo.toString(),
+        });
+    } catch (error) {
+        // The sender may have left the room, been suspended, etc.
+        scheduled.status = 'failed';
+        scheduled.error = error.message;
+        await scheduled.save();
+
+        io.to(`user:${senderId}`).emit('scheduled:failed', {
+            scheduledMessageId: scheduled._id,
+            error: error.message,
+        });
+        return;
+    }
+
+    // The message exists now: nothing below may turn this into a failure
+    try {
+        await ScheduledMessage.markSent(scheduled._id, message._id);
+    } catch (error) {
+        console.error(`Failed to mark scheduled message ${scheduled._id} as sent:`, error);
+    }
+
+    chatHandler.broadcastNewMessage(io, userSockets, message);
+
+    io.to(`user:${senderId}`).emit('scheduled:sent', {
+        scheduledMessageId: scheduled._id,
+        message,
+    });
+};
+
+/**
+ * Deliver every message that is due
+ * @param {Server} io - Socket.IO server
+ */
+const poll = async (io) => {
+    if (running) return;
+    running = true;
+
+    try {
+        let scheduled;
+        while ((scheduled = await ScheduledMessage.claimDue(config.scheduledMessages.lockTimeout))) {
+            await deliver(io, scheduled);
+        }
+    } catch (error) {
+        console.error('Scheduled message delivery failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start polling the ScheduledMessage collection. State lives in the database,
+ * so messages due while the server was down are sent on the next poll.
+ * @param {Server} io - Socket.IO server
+ */
+const startScheduler = (io) => {
+    if (timer) return;
+
+    timer = setInterval(() => poll(io), config.scheduledMessages.pollInterval);
+    timer.unref();
+
+    poll(io);
+};
+
+/**
+ * Stop polling
+ */
+const stopScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    poll,
+};
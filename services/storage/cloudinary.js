@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+    cloudinary,
+    configureCloudinary,
+    uploadToCloudinary,
+    deleteFromCloudinary,
+} = require('../../config/cloudinary');
+
+/**
+ * Split a key into its Cloudinary parts
+ * Keys look like Cloudinary delivery paths: <resourceType>/<publicId>[.<format>].
+ * Raw files keep their extension in the public ID, so there is no format.
+ * @param {string} key - Storage key
+ * @returns {object} - { resourceType, publicId, format }
+ */
+const parseKey = (key) => {
+    const slash = key.indexOf('/');
+    const resourceType = key.substring(0, slash);
+    const id = key.substring(slash + 1);
+
+    if (resourceType === 'raw') {
+        return { resourceType, publicId: id, format: '' };
+    }
+
+    const dot = id.lastIndexOf('.');
+    return dot > 0
+        ? { resourceType, publicId: id.substring(0, dot), format: id.substring(dot + 1) }
+        : { resourceType, publicId: id, format: '' };
+};
+
+/**
+ * Cloudinary driver
+ * Uploads go through config/cloudinary.js; Cloudinary picks the public ID,
+ * so the returned key differs from the one passed to put().
+ * @param {object} options - { folder }
+ * @returns {object} - Storage driver
+ */
+const createCloudinaryDriver = ({ folder }) => {
+    if (!configureCloudinary()) {
+        throw new Error('Cloudinary storage requires CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    }
+
+    return {
+        name: 'cloudinary',
+
+        async put(key, filePath) {
+            // Keep the local layout (images/, audio/, files/) as sub-folders
+            const subfolder = path.posix.dirname(key);
+            const result = await uploadToCloudinary(filePath, subfolder === '.' ? folder : `${folder}/${subfolder}`);
+
+            await fs.promises.unlink(filePath);
+
+            const format = result.resourceType === 'raw' || !result.format ? '' : `.${result.format}`;
+            return { key: `${result.resourceType}/${result.publicId}${format}`, url: result.url };
+        },
+
+        async get(key) {
+            const { resourceType, publicId, format } = parseKey(key);
+            const url = cloudinary.url(publicId, { resource_type: resourceType, format, secure: true });
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Cloudinary download failed with status ${response.status}`);
+            }
+
+            return Readable.fromWeb(response.body);
+        },
+
+        async delete(key) {
+            const { resourceType, publicId } = parseKey(key);
+            await deleteFromCloudinary(publicId, resourceType);
+        },
+
+        // Uploads are public, so this doesn't protect the file - it only expires
+        async getSignedUrl(key, expiresIn) {
+            const { resourceType, publicId, format } = parseKey(key);
+
+            return cloudinary.utils.private_download_url(publicId, format, {
+                resource_type: resourceType,
+                type: 'upload',
+                expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+            });
+        },
+    };
+};
+
+module.exports = {
+    createCloudinaryDriver,
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const config = require('../../config');
+const { getFileKey, uploadsDir } = require('../../middleware/upload');
+const { createLocalDriver } = require('./local');
+const { createCloudinaryDriver } = require('./cloudinary');
+const { createS3Driver } = require('./s3');
+const Message = require('../../models/Message');
+
+/**
+ * Storage drivers
+ * Every driver implements:
+ * - put(key, filePath, { contentType }) -> { key, url } - moves a local file into storage
+ * - get(key) -> Readable
+ * - delete(key)
+ * - getSignedUrl(key, expiresIn) -> time-limited download URL
+ *
+ * Stored files are referenced as { storage, key, url }, so files written by
+ * one driver can still be read and removed after STORAGE_DRIVER changes.
+ */
+
+const LOCAL_URL_PREFIX = '/uploads/';
+
+const factories = {
+    local: () => createLocalDriver({ root: uploadsDir, baseUrl: '/uploads' }),
+    cloudinary: () => createCloudinaryDriver(config.storage.cloudinary),
+    s3: () => createS3Driver(config.storage.s3),
+};
+
+// Drivers are created on first use so unused ones never need credentials
+const drivers = new Map();
+
+/**
+ * Get a storage driver by name
+ * @param {string} name - Driver name (defaults to config.storage.driver)
+ * @returns {object}
+ */
+const getDriver = (name = config.storage.driver) => {
+    if (!drivers.has(name)) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver ${name}`);
+        }
+        drivers.set(name, factory());
+    }
+
+    return drivers.get(name);
+};
+
+/**
+ * Find the driver and key for a stored file reference
+ * @param {object} file - { storage, key, url }
+ * @returns {object|null} - { driver, key }, or null for files we don't manage (e.g. external avatar URLs)
+ */
+const locate = (file) => {
+    if (!file) return null;
+
+    if (file.key) {
+        return { driver: getDriver(file.storage || config.storage.driver), key: file.key };
+    }
+
+    // Files uploaded before storage drivers existed are local and only have a URL
+    if (typeof file.url === 'string' && file.url.startsWith(LOCAL_URL_PREFIX)) {
+        return { driver: getDriver('local'), key: file.url.substring(LOCAL_URL_PREFIX.length) };
+    }
+
+    return null;
+};
+
+/**
+ * Move a local file into the configured storage
+ * @param {string} key - Storage key (e.g. images/cat-123.jpg)
+ * @param {string} filePath - Local file; it is consumed
+ * @param {object} options - { contentType }
+ * @returns {Promise<object>} - { storage, key, url }
+ */
+const storeFile = async (key, filePath, options = {}) => {
+    const driver = getDriver();
+    const stored = await driver.put(key, filePath, options);
+
+    return { storage: driver.name, key: stored.key, url: stored.url };
+};
+
+/**
+ * Open a stored file for reading
+ * @param {object} file - { storage, key, url }
+ * @returns {Promise<Readable>}
+ */
+const openFile = async (file) => {
+    const location = locate(file);
+    if (!location) {
+        throw new Error('File is not in managed storage');
+    }
+
+    return location.driver.get(location.key);
+};
+
+/**
+ * Delete a stored file (unmanaged references are ignored)
+ * @param {object} file - { storage, key, url }
+ * @returns {Promise<void>}
+ */
+const removeFile = async (file) => {
+    const location = locate(file);
+    if (location) {
+        await location.driver.delete(location.key);
+    }
+};
+
+/**
+ * Create a time-limited download URL
+ * @param {object} file - { storage, key, url }
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Promise<object>} - { url, expiresAt }
+ */
+const getSignedUrl = async (file, expiresIn = config.storage.signedUrlExpiry) => {
+    const location = locate(file);
+    if (!location) {
+        // External URLs are already public
+        return { url: file.url, expiresAt: null };
+    }
+
+    return {
+        url: await location.driver.getSignedUrl(location.key, expiresIn),
+        expiresAt: new Date(Date.now() + expiresIn * 1000),
+    };
+};
+
+/**
+ * File references for a message's media and its resized copies
+ * @param {object} media - Message media
+ * @returns {Array<object>}
+ */
+const getMediaFiles = (media) => {
+    if (!media || !media.url) return [];
+
+    return [media, media.thumbnail, media.preview]
+        .filter((file) => file && file.url)
+        .map((file) => ({ storage: media.storage, key: file.key, url: file.url }));
+};
+
+/**
+ * Store an uploaded message attachment and its resized copies
+ * @param {object} file - Multer file object
+ * @param {object} details - Extra media fields; `thumbnail`/`preview` are local { path, width, height }
+ * @returns {Promise<object>} - Message media
+ */
+const storeMedia = async (file, details = {}) => {
+    const { thumbnail, preview, ...extra } = details;
+    const media = {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        ...extra,
+    };
+
+    try {
+        Object.assign(media, await storeFile(getFileKey(file), file.path, { contentType: file.mimetype }));
+
+        for (const [name, variant] of Object.entries({ thumbnail, preview })) {
+            if (!variant) continue;
+
+            const stored = await storeFile(getFileKey(variant), variant.path, { contentType: 'image/webp' });
+            media[name] = { url: stored.url, key: stored.key, width: variant.width, height: variant.height };
+        }
+    } catch (error) {
+        // Undo whatever made it into storage and drop the local copies
+        await removeMedia(media);
+        await Promise.all([file, thumbnail, preview]
+            .filter(Boolean)
+            .map((local) => fs.promises.unlink(local.path).catch(() => {})));
+        throw error;
+    }
+
+    return media;
+};
+
+/**
+ * Delete a message's media and its resized copies
+ * Failures are logged, not thrown - a missing file must not block a deletion.
+ * @param {object} media - Message media
+ * @returns {Promise<void>}
+ */
+const removeMedia = async (media) => {
+    for (const file of getMediaFiles(media)) {
+        try {
+            await removeFile(file);
+        } catch (error) {
+            console.error(`Failed to delete ${file.url}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Delete media detached from deleted messages once no message refers to it
+ * Forwarded copies share the original's file. Called after the deletion is
+ * saved, so failures are logged rather than thrown.
+ * @param {object} media - Detached message media
+ * @returns {Promise<void>}
+ */
+const releaseMedia = async (media) => {
+    if (!media || !media.url) return;
+
+    try {
+        const stillUsed = await Message.exists({ 'media.url': media.url });
+        if (stillUsed) return;
+
+        await removeMedia(media);
+    } catch (error) {
+        console.error(`Failed to release ${media.url}:`, error.message);
+    }
+};
+
+module.exports = {
+    getDriver,
+    storeFile,
+    storeMedia,
+    openFile,
+    removeFile,
+    removeMedia,
+    releaseMedia,
+    getMediaFiles,
+    getSignedUrl,
+};
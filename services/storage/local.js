@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk driver
+ * Files live under the uploads directory and are served statically by
+ * app.js at /uploads, so the key is simply the path below that directory.
+ * @param {object} options - { root, baseUrl }
+ * @returns {object} - Storage driver
+ */
+const createLocalDriver = ({ root, baseUrl }) => {
+    /**
+     * Resolve a key to a path, refusing anything outside the root
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, ...key.split('/'));
+
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, filePath) {
+            const target = resolveKey(key);
+
+            // Multer already wrote most uploads to their final place
+            if (path.resolve(filePath) !== target) {
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+                try {
+                    await fs.promises.rename(filePath, target);
+                } catch (error) {
+                    if (error.code !== 'EXDEV') throw error;
+
+                    // Different filesystem: copy, then remove the source
+                    await fs.promises.copyFile(filePath, target);
+                    await fs.promises.unlink(filePath);
+                }
+            }
+
+            return { key, url: `${baseUrl}/${key}` };
+        },
+
+        async get(key) {
+            const filePath = resolveKey(key);
+
+            // Fail here rather than on the stream's first read
+            await fs.promises.access(filePath, fs.constants.R_OK);
+
+            return fs.createReadStream(filePath);
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        // Local files are public at their URL, so there is nothing to sign
+        async getSignedUrl(key) {
+            resolveKey(key);
+            return `${baseUrl}/${key}`;
+        },
+    };
+};
+
+module.exports = {
+    createLocalDriver,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, ...)
+ * @param {object} options - config.storage.s3
+ * @returns {object} - Storage driver
+ */
+const createS3Driver = (options) => {
+    if (!options.bucket) {
+        throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    const client = new S3Client({
+        endpoint: options.endpoint,
+        region: options.region,
+        forcePathStyle: options.forcePathStyle,
+        // Streamed checksum trailers aren't supported by every S3-compatible store
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED',
+        // Without explicit keys the SDK falls back to its usual credential chain
+        credentials: options.accessKeyId
+            ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            : undefined,
+    });
+
+    let baseUrl = options.publicUrl;
+    if (!baseUrl && options.endpoint) {
+        const endpoint = new URL(options.endpoint);
+        baseUrl = options.forcePathStyle
+            ? `${endpoint.origin}/${options.bucket}`
+            : `${endpoint.protocol}//${options.bucket}.${endpoint.host}`;
+    }
+    if (!baseUrl) {
+        baseUrl = `https://${options.bucket}.s3.${options.region}.amazonaws.com`;
+    }
+    baseUrl = baseUrl.replace(/\/+$/, '');
+
+    const objectUrl = (key) => `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 's3',
+
+        async put(key, filePath, { contentType } = {}) {
+            const { size } = await fs.promises.stat(filePath);
+
+            await client.send(new PutObjectCommand({
+                Bucket: options.bucket,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: contentType,
+            }));
+
+            await fs.promises.unlink(filePath);
+
+            // Only loads if the bucket (or S3_PUBLIC_URL) is public; private buckets need getSignedUrl
+            return { key, url: objectUrl(key) };
+        },
+
+        async get(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: options.bucket, Key: key }));
+            return result.Body;
+        },
+
+        // S3 deletes are idempotent, so a missing object is not an error
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: key }));
+        },
+
+        async getSignedUrl(key, expiresIn) {
+            return getSignedUrl(
+                client,
+                new GetObjectCommand({ Bucket: options.bucket, Key: key }),
+                { expiresIn }
+            );
+        },
+    };
+};
+
+module.exports = {
+    createS3Driver,
+};
@@ -1,19 +1,41 @@
+const mongoose = require('mongoose');
+const config = require('../config');
 const Message = require('../models/Message');
 const ChatRoom = require('../models/ChatRoom');
+const User = require('../models/User');
+const { resolveMentions } = require('../services/mentions');
+const { unfurlMessage } = require('../services/linkPreview');
+const { isEmoji } = require('../utils');
+const storage = require('../services/storage');
 
 /**
  * Chat event handlers for Socket.IO
  */
 
 /**
- * Handle sending a new message
- * @param {Socket} socket - Socket instance
+ * Send a new message on behalf of a user (live sends and scheduled delivery)
+ * @param {string} userId - Sender ID
  * @param {object} data - Message data
  * @returns {Promise<Message>}
  */
-const handleSendMessage = async (socket, data) => {
+const sendMessageAs = async (userId, data) => {
     const { chatRoomId, content, replyTo } = data;
-    const userId = socket.userId;
+
+    const sender = await User.findById(userId).select('isSuspended emailVerified');
+
+    // Scheduled messages are delivered without a live session, so check here too
+    if (!sender) {
+        throw new Error('User not found');
+    }
+
+    if (sender.isSuspended) {
+        throw new Error('Your account has been suspended');
+    }
+
+    // Unverified accounts may not send messages when verification is required
+    if (config.requireEmailVerification && !sender.emailVerified) {
+        throw new Error('Please verify your email address first');
+    }
 
     // Validate chat room and user access
     const chatRoom = await ChatRoom.findById(chatRoomId);
@@ -26,15 +48,38 @@ const handleSendMessage = async (socket, data) => {
         throw new Error('You are not a member of this chat room');
     }
 
+    if (!chatRoom.isActive) {
+        throw new Error('This chat room has been deactivated');
+    }
+
+    // Replies must target a message in the same room
+    let threadRoot = null;
+    if (replyTo) {
+        threadRoot = await Message.resolveThreadRoot(chatRoomId, replyTo);
+
+        if (!threadRoot) {
+            throw new Error('Reply target not found in this chat room');
+        }
+    }
+
+    const mentions = await resolveMentions(chatRoom, userId, content);
+
     // Create message
     const message = await Message.create({
         chatRoom: chatRoomId,
         sender: userId,
         content,
         messageType: 'text',
-        ...(replyTo && { replyTo }),
+        mentions,
+        expiresAt: chatRoom.getMessageExpiry(),
+        ...(replyTo && { replyTo, threadRoot }),
     });
 
+    // Update thread counters
+    if (threadRoot) {
+        await Message.recordThreadReply(threadRoot, message);
+    }
+
     // Update chat room's last message
     chatRoom.lastMessage = message._id;
     await chatRoom.save();
@@ -45,11 +90,21 @@ const handleSendMessage = async (socket, data) => {
     return message;
 };
 
+/**
+ * Handle sending a new message
+ * @param {Socket} socket - Socket instance
+ * @param {object} data - Message data
+ * @returns {Promise<Message>}
+ */
+const handleSendMessage = async (socket, data) => {
+    return sendMessageAs(socket.userId, data);
+};
+
 /**
  * Handle editing a message
  * @param {Socket} socket - Socket instance
  * @param {object} data - Edit data
- * @returns {Promise<Message>}
+ * @returns {Promise<object>} - { message, addedMentions }
  */
 const handleEditMessage = async (socket, data) => {
     const { messageId, content } = data;
@@ -69,21 +124,35 @@ const handleEditMessage = async (socket, data) => {
         throw new Error('Cannot edit deleted message');
     }
 
+    if (message.messageType === 'poll') {
+        throw new Error('Polls cannot be edited');
+    }
+
+    if (!message.isEditable(config.messages.editWindow)) {
+        throw new Error('The edit window for this message has passed');
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom);
+    const addedMentions = chatRoom
+        ? message.setMentions(await resolveMentions(chatRoom, userId, content))
+        : [];
+
     message.editContent(content);
     await message.save();
 
     await message.populate('sender', 'username avatar');
 
-    return message;
+    return { message, addedMentions };
 };
 
 /**
  * Handle deleting a message
+ * @param {Server} io - Socket.IO server
  * @param {Socket} socket - Socket instance
  * @param {object} data - Delete data
  * @returns {Promise<object>}
  */
-const handleDeleteMessage = async (socket, data) => {
+const handleDeleteMessage = async (io, socket, data) => {
     const { messageId } = data;
     const userId = socket.userId;
 
@@ -98,22 +167,123 @@ const handleDeleteMessage = async (socket, data) => {
     }
 
     const chatRoomId = message.chatRoom;
+    const wasDeleted = message.isDeleted;
 
-    message.softDelete();
+    const media = message.softDelete();
     await message.save();
+    await storage.releaseMedia(media);
+
+    // Keep thread counters in sync
+    if (!wasDeleted && message.threadRoot) {
+        const root = await Message.recordThreadReplyDeleted(message.threadRoot, message);
+        broadcastThreadUpdate(io, chatRoomId, root);
+    }
+
+    // Deleted messages can't stay pinned
+    await ChatRoom.removePin(message.chatRoom, message._id);
 
     return { messageId, chatRoomId };
 };
 
+/**
+ * Load a message the socket user may react to
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Message>}
+ */
+const findReactableMessage = async (messageId, userId) => {
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+        throw new Error('Message not found');
+    }
+
+    const chatRoom = await ChatRoom.findById(message.chatRoom);
+
+    if (!chatRoom || !chatRoom.isParticipant(userId)) {
+        throw new Error('You are not a member of this chat room');
+    }
+
+    return message;
+};
+
+/**
+ * Handle adding a reaction
+ * @param {Socket} socket - Socket instance
+ * @param {object} data - { messageId, emoji }
+ * @returns {Promise<object|null>} - Reaction event payload, null if nothing changed
+ */
+const handleAddReaction = async (socket, data) => {
+    const { messageId } = data;
+    const emoji = typeof data.emoji === 'string' ? data.emoji.trim() : '';
+    const userId = socket.userId;
+
+    if (!isEmoji(emoji)) {
+        throw new Error('Invalid emoji');
+    }
+
+    const message = await findReactableMessage(messageId, userId);
+
+    if (message.isDeleted) {
+        throw new Error('Cannot react to deleted message');
+    }
+
+    if (!message.canAddReaction(emoji, config.messages.maxReactions)) {
+        throw new Error(`A message can have at most ${config.messages.maxReactions} different reactions`);
+    }
+
+    const updated = await Message.addReaction(message._id, userId, emoji, config.messages.maxReactions);
+    if (!updated) return null;
+
+    return {
+        messageId: updated._id,
+        chatRoomId: updated.chatRoom,
+        userId,
+        emoji,
+        action: 'add',
+        reactions: updated.getReactionSummary(),
+    };
+};
+
+/**
+ * Handle removing a reaction
+ * @param {Socket} socket - Socket instance
+ * @param {object} data - { messageId, emoji }
+ * @returns {Promise<object|null>} - Reaction event payload, null if nothing changed
+ */
+const handleRemoveReaction = async (socket, data) => {
+    const { messageId } = data;
+    const emoji = typeof data.emoji === 'string' ? data.emoji.trim() : '';
+    const userId = socket.userId;
+
+    const message = await findReactableMessage(messageId, userId);
+
+    const updated = await Message.removeReaction(message._id, userId, emoji);
+    if (!updated) return null;
+
+    return {
+        messageId: updated._id,
+        chatRoomId: updated.chatRoom,
+        userId,
+        emoji,
+        action: 'remove',
+        reactions: updated.getReactionSummary(),
+    };
+};
+
 /**
  * Handle marking messages as read
  * @param {Socket} socket - Socket instance
  * @param {object} data - Read data
  */
 const handleMarkAsRead = async (socket, data) => {
-    const { chatRoomId } = data;
+    const { chatRoomId, messageIds = [] } = data;
     const userId = socket.userId;
 
+    if (!Array.isArray(messageIds) || messageIds.length > 100) {
+        throw new Error('messageIds must be an array of at most 100 IDs');
+    }
+
     const chatRoom = await ChatRoom.findById(chatRoomId);
 
     if (!chatRoom) {
@@ -126,6 +296,51 @@ const handleMarkAsRead = async (socket, data) => {
 
     chatRoom.updateLastRead(userId);
     await chatRoom.save();
+
+    const validIds = messageIds.filter((id) => mongoose.isValidObjectId(id));
+    if (validIds.length === 0) return [];
+
+    return Message.recordRead(chatRoomId, validIds, userId);
+};
+
+/**
+ * Tell senders that their messages were delivered to or read by a user
+ * @param {Server} io - Socket.IO server
+ * @param {Array} messages - Messages with a new receipt ({ _id, chatRoom, sender })
+ * @param {string} userId - Recipient ID
+ * @param {string} status - delivered or read
+ */
+const emitMessageStatus = (io, messages, userId, status) => {
+    const timestamp = new Date();
+
+    for (const message of messages) {
+        io.to(`user:${message.sender}`).emit('message:status', {
+            messageId: message._id,
+            chatRoomId: message.chatRoom,
+            userId,
+            status,
+            timestamp,
+        });
+    }
+};
+
+/**
+ * Record delivery once a recipient socket acknowledges a message
+ * @param {Server} io - Socket.IO server
+ * @param {Socket} socket - Recipient socket
+ * @param {Message} message - Delivered message
+ */
+const handleDeliveryAck = async (io, socket, message) => {
+    try {
+        // Sockets can join any room name, so check membership before trusting the ack
+        const isMember = await ChatRoom.exists({ _id: message.chatRoom, 'participants.user': socket.userId });
+        if (!isMember) return;
+
+        const delivered = await Message.recordDelivery([message._id], socket.userId);
+        emitMessageStatus(io, delivered, socket.userId, 'delivered');
+    } catch (error) {
+        console.error('Error recording delivery:', error);
+    }
 };
 
 /**
@@ -136,6 +351,11 @@ const handleMarkAsRead = async (socket, data) => {
  * @param {Message} message - New message
  */
 const notifyParticipants = async (io, userSockets, chatRoomId, message) => {
+    // Thread replies only notify the people in that thread
+    if (message.threadRoot) {
+        return notifyThreadParticipants(io, chatRoomId, message);
+    }
+
     try {
         const chatRoom = await ChatRoom.findById(chatRoomId);
 
@@ -165,10 +385,134 @@ const notifyParticipants = async (io, userSockets, chatRoomId, message) => {
     }
 };
 
+/**
+ * Broadcast a new message to its room and notify participants
+ * @param {Server} io - Socket.IO server
+ * @param {Map} userSockets - Map of userId to socket IDs
+ * @param {Message} message - New message
+ */
+const broadcastNewMessage = (io, userSockets, message) => {
+    const chatRoomId = message.chatRoom.toString();
+    const senderId = message.sender._id.toString();
+
+    // Emit to room members one socket at a time so each ack can be attributed
+    const socketIds = io.sockets.adapter.rooms.get(`room:${chatRoomId}`) || new Set();
+    for (const socketId of socketIds) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket) continue;
+
+        if (socket.userId === senderId) {
+            socket.emit('message:new', message);
+            continue;
+        }
+
+        socket.timeout(config.receipts.ackTimeout).emit('message:new', message, (err) => {
+            if (!err) handleDeliveryAck(io, socket, message);
+        });
+    }
+
+    // Notify room participants who are not in the room
+    notifyParticipants(io, userSockets, chatRoomId, message);
+    notifyMentions(io, message, message.mentions);
+
+    // Previews arrive later as `message:updated`
+    unfurlMessage(io, message);
+};
+
+/**
+ * Send a mention notification to each mentioned user
+ * @param {Server} io - Socket.IO server
+ * @param {Message} message - Message with the mentions
+ * @param {Array} userIds - Users to notify
+ */
+const notifyMentions = (io, message, userIds = []) => {
+    for (const userId of userIds) {
+        io.to(`user:${userId}`).emit('notification:mention', {
+            chatRoomId: message.chatRoom,
+            message: {
+                _id: message._id,
+                content: message.content,
+                sender: message.sender,
+                createdAt: message.createdAt,
+            },
+        });
+    }
+};
+
+/**
+ * Broadcast a thread root's counters to its room
+ * @param {Server} io - Socket.IO server
+ * @param {string} chatRoomId - Chat room ID
+ * @param {Message} root - Thread root message
+ */
+const broadcastThreadUpdate = (io, chatRoomId, root) => {
+    if (!root) return;
+
+    io.to(`room:${chatRoomId}`).emit('thread:updated', {
+        chatRoomId,
+        threadRootId: root._id,
+        replyCount: root.threadReplyCount,
+        lastReplyAt: root.threadLastReplyAt,
+    });
+};
+
+/**
+ * Broadcast updated thread counters and notify thread participants about a reply
+ * @param {Server} io - Socket.IO server
+ * @param {string} chatRoomId - Chat room ID
+ * @param {Message} message - New thread reply
+ */
+const notifyThreadParticipants = async (io, chatRoomId, message) => {
+    try {
+        const root = await Message.findById(message.threadRoot)
+            .select('sender threadReplyCount threadLastReplyAt threadParticipants');
+
+        if (!root) return;
+
+        const chatRoom = await ChatRoom.findById(chatRoomId).select('participants');
+        if (!chatRoom) return;
+
+        broadcastThreadUpdate(io, chatRoomId, root);
+
+        // Root author plus everyone who replied, minus the sender and anyone
+        // who has since left the room
+        const senderId = message.sender._id.toString();
+        const recipients = new Set([
+            root.sender.toString(),
+            ...root.threadParticipants.map((id) => id.toString()),
+        ]);
+        recipients.delete(senderId);
+
+        for (const participantId of recipients) {
+            if (!chatRoom.isParticipant(participantId)) continue;
+
+            io.to(`user:${participantId}`).emit('notification:message', {
+                chatRoomId,
+                threadRootId: root._id,
+                message: {
+                    _id: message._id,
+                    content: message.content,
+                    sender: message.sender,
+                    createdAt: message.createdAt,
+                },
+            });
+        }
+    } catch (error) {
+        console.error('Error notifying thread participants:', error);
+    }
+};
+
 module.exports = {
+    sendMessageAs,
     handleSendMessage,
     handleEditMessage,
     handleDeleteMessage,
+    broadcastThreadUpdate,
+    handleAddReaction,
+    handleRemoveReaction,
     handleMarkAsRead,
     notifyParticipants,
+    broadcastNewMessage,
+    notifyMentions,
+    emitMessageStatus,
 };
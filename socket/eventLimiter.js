@@ -0,0 +1,70 @@
+const config = require('../config');
+const TokenBucket = require('../utils/tokenBucket');
+const MemoryStore = require('../utils/memoryStore');
+
+/**
+ * Per-socket, per-event flood control
+ * Configured events get their own bucket; every other event name shares the
+ * default one, so clients can't create buckets (or store keys) at will.
+ */
+
+const store = new MemoryStore();
+const buckets = new Map(); // bucket name -> TokenBucket
+
+/**
+ * Name of the bucket an event is counted in
+ * @param {string} event - Event name (client supplied)
+ * @returns {string}
+ */
+const getBucketName = (event) => {
+    return Object.prototype.hasOwnProperty.call(config.rateLimit.socketEvents, event) ? event : 'default';
+};
+
+/**
+ * Get (or lazily create) a bucket
+ * @param {string} name - Bucket name from getBucketName
+ * @returns {TokenBucket}
+ */
+const getBucket = (name) => {
+    if (!buckets.has(name)) {
+        buckets.set(name, new TokenBucket({ ...config.rateLimit.socketEvents[name], store }));
+    }
+
+    return buckets.get(name);
+};
+
+/**
+ * Socket middleware that drops events exceeding their rate limit
+ * Instead of processing the event, the client receives an `error` event
+ * with a retry-after hint.
+ * @param {Socket} socket - Socket instance
+ * @returns {Function} - Socket.IO packet middleware
+ */
+const createEventLimiter = (socket) => async (packet, next) => {
+    if (!config.rateLimit.enabled) return next();
+
+    const [event] = packet;
+    const bucketName = getBucketName(event);
+
+    try {
+        const result = await getBucket(bucketName).consume(`${socket.id}:${bucketName}`);
+
+        if (result.allowed) {
+            return next();
+        }
+
+        socket.emit('error', {
+            code: 'RATE_LIMITED',
+            event,
+            message: `Too many ${event} events. Slow down.`,
+            retryAfterMs: result.retryAfterMs,
+        });
+    } catch (error) {
+        console.error('Socket rate limit error:', error);
+        next();
+    }
+};
+
+module.exports = {
+    createEventLimiter,
+};
@@ -1,5 +1,6 @@
 const { socketAuth } = require('../middleware/auth');
 const chatHandler = require('./chatHandler');
+const { createEventLimiter } = require('./eventLimiter');
 const User = require('../models/User');
 
 /**
@@ -35,9 +36,15 @@ const initializeSocket = (io) => {
         // Update user status to online
         await User.findByIdAndUpdate(userId, { status: 'online' });
 
+        // Drop events that exceed their per-socket rate limit
+        socket.use(createEventLimiter(socket));
+
         // Join user's personal room (for private notifications)
         socket.join(`user:${userId}`);
 
+        // Join session room (so revoking a session can drop its sockets)
+        socket.join(`session:${socket.sessionId}`);
+
         // Broadcast online status to all users
         socket.broadcast.emit('user:online', {
             userId,
@@ -79,11 +86,8 @@ const initializeSocket = (io) => {
             try {
                 const message = await chatHandler.handleSendMessage(socket, data);
 
-                // Emit to room members
-                io.to(`room:${data.chatRoomId}`).emit('message:new', message);
-
-                // Notify room participants who are not in the room
-                chatHandler.notifyParticipants(io, userSockets, data.chatRoomId, message);
+                // Emit to room members and notify participants
+                chatHandler.broadcastNewMessage(io, userSockets, message);
             } catch (error) {
                 socket.emit('error', { message: error.message });
             }
@@ -94,8 +98,9 @@ const initializeSocket = (io) => {
          */
         socket.on('message:edit', async (data) => {
             try {
-                const message = await chatHandler.handleEditMessage(socket, data);
+                const { message, addedMentions } = await chatHandler.handleEditMessage(socket, data);
                 io.to(`room:${message.chatRoom}`).emit('message:edited', message);
+                chatHandler.notifyMentions(io, message, addedMentions);
             } catch (error) {
                 socket.emit('error', { message: error.message });
             }
@@ -106,13 +111,45 @@ const initializeSocket = (io) => {
          */
         socket.on('message:delete', async (data) => {
             try {
-                const result = await chatHandler.handleDeleteMessage(socket, data);
+                const result = await chatHandler.handleDeleteMessage(io, socket, data);
                 io.to(`room:${result.chatRoomId}`).emit('message:deleted', result);
             } catch (error) {
                 socket.emit('error', { message: error.message });
             }
         });
 
+        // ============================================
+        // Reaction Events
+        // ============================================
+
+        /**
+         * Add a reaction to a message
+         */
+        socket.on('reaction:add', async (data) => {
+            try {
+                const result = await chatHandler.handleAddReaction(socket, data);
+                if (result) {
+                    io.to(`room:${result.chatRoomId}`).emit('message:reaction', result);
+                }
+            } catch (error) {
+                socket.emit('error', { message: error.message });
+            }
+        });
+
+        /**
+         * Remove a reaction from a message
+         */
+        socket.on('reaction:remove', async (data) => {
+            try {
+                const result = await chatHandler.handleRemoveReaction(socket, data);
+                if (result) {
+                    io.to(`room:${result.chatRoomId}`).emit('message:reaction', result);
+                }
+            } catch (error) {
+                socket.emit('error', { message: error.message });
+            }
+        });
+
         // ============================================
         // Typing Events
         // ============================================
@@ -147,11 +184,15 @@ const initializeSocket = (io) => {
          */
         socket.on('messages:read', async (data) => {
             try {
-                await chatHandler.handleMarkAsRead(socket, data);
+                const readMessages = await chatHandler.handleMarkAsRead(socket, data);
                 socket.to(`room:${data.chatRoomId}`).emit('messages:read', {
                     userId,
                     chatRoomId: data.chatRoomId,
+                    messageIds: readMessages.map((m) => m._id),
                 });
+
+                // Tell senders their messages were read
+                chatHandler.emitMessageStatus(io, readMessages, userId, 'read');
             } catch (error) {
                 socket.emit('error', { message: error.message });
             }
@@ -203,6 +244,8 @@ const initializeSocket = (io) => {
     io.getOnlineUsers = () => [...new Set([...userSockets.keys()])];
     io.isUserOnline = (userId) => userSockets.has(userId);
     io.getUserSockets = (userId) => userSockets.get(userId) || new Set();
+    io.disconnectSession = (sessionId) => io.in(`session:${sessionId}`).disconnectSockets(true);
+    io.disconnectUser = (userId) => io.in(`user:${userId}`).disconnectSockets(true);
 
     return io;
 };
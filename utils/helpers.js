@@ -50,7 +50,21 @@ const generateRandomString = (length = 10) => {
 const sanitizeUser = (user) => {
     if (!user) return null;
 
-    const { password, __v, ...sanitized } = user.toObject ? user.toObject() : user;
+    const {
+        password,
+        failedLoginAttempts,
+        lockUntil,
+        passwordResetToken,
+        passwordResetExpires,
+        emailVerificationToken,
+        emailVerificationExpires,
+        twoFactorSecret,
+        twoFactorRecoveryCodes,
+        twoFactorLastUsedStep,
+        avatarFile,
+        __v,
+        ...sanitized
+    } = user.toObject ? user.toObject() : user;
     return sanitized;
 };
 
@@ -106,6 +120,115 @@ const truncate = (str, length = 100) => {
     return str.substring(0, length) + '...';
 };
 
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str - Raw string
+ * @returns {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape HTML special characters
+ * @param {string} str - Raw string
+ * @returns {string}
+ */
+const escapeHtml = (str) => str.replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+}[c]));
+
+/**
+ * Extract the words of a search query (negated terms are dropped)
+ * @param {string} query - Search query
+ * @returns {Array<string>}
+ */
+const getSearchTerms = (query = '') => {
+    return query
+        .split(/\s+/)
+        .filter((term) => term && !term.startsWith('-'))
+        .map((term) => term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+        .filter(Boolean);
+};
+
+/**
+ * Build an HTML-safe snippet around the first match with terms wrapped in <mark>
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Search terms
+ * @param {number} radius - Characters of context on each side of the first match
+ * @returns {string}
+ */
+const highlightSnippet = (text, terms, radius = 60) => {
+    if (!text) return '';
+    if (!terms.length) return escapeHtml(truncate(text, radius * 2));
+
+    // Match word prefixes so stemmed hits ("run" -> "running") are highlighted too
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+
+    const start = first ? Math.max(0, first.index - radius) : 0;
+    const end = first ? Math.min(text.length, first.index + first[0].length + radius) : radius * 2;
+    const excerpt = text.substring(start, end);
+
+    let result = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        result += escapeHtml(excerpt.substring(last, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    result += escapeHtml(excerpt.substring(last));
+
+    return `${start > 0 ? '...' : ''}${result}${end < text.length ? '...' : ''}`;
+};
+
+/**
+ * Find @mentions in message text. Emails and similar `x@y` forms are ignored.
+ * @param {string} content - Message text
+ * @returns {object} - { usernames, here, all }
+ */
+const parseMentions = (content = '') => {
+    const usernames = new Set();
+    let here = false;
+    let all = false;
+
+    for (const match of content.matchAll(/(^|[^\w@])@(\w{1,30})\b/g)) {
+        const name = match[2];
+
+        if (name === 'here') here = true;
+        else if (name === 'all') all = true;
+        else usernames.add(name);
+    }
+
+    return { usernames: [...usernames], here, all };
+};
+
+/**
+ * Find http(s) URLs in message text, without trailing punctuation
+ * @param {string} content - Message text
+ * @returns {Array<string>} - Unique URLs in order of appearance
+ */
+const extractUrls = (content = '') => {
+    const urls = (content.match(/\bhttps?:\/\/[^\s<>"']+/gi) || [])
+        .map((url) => url.replace(/[.,;:!?)\]}]+$/, ''));
+
+    return [...new Set(urls)];
+};
+
+// One emoji: a flag, a keycap, or a pictograph with optional variation selector,
+// skin tone, tag sequence (subdivision flags) and ZWJ-joined parts
+const EMOJI_PATTERN = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?(?:[\u{E0020}-\u{E007E}]+\u{E007F})?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)$/u;
+
+/**
+ * Check that a string is a single emoji
+ * @param {string} value - Candidate emoji
+ * @returns {boolean}
+ */
+const isEmoji = (value) => typeof value === 'string' && EMOJI_PATTERN.test(value);
+
 module.exports = {
     formatDate,
     generateRandomString,
@@ -114,4 +237,11 @@ module.exports = {
     createPaginationMeta,
     sleep,
     truncate,
+    escapeRegExp,
+    escapeHtml,
+    getSearchTerms,
+    highlightSnippet,
+    parseMentions,
+    extractUrls,
+    isEmoji,
 };
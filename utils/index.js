@@ -1,4 +1,13 @@
-const { generateToken, verifyToken, decodeToken } = require('./jwt');
+const {
+    generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    verifyToken,
+    decodeToken,
+    hashToken,
+    generateRefreshToken,
+    parseRefreshToken,
+} = require('./jwt');
 const {
     formatDate,
     generateRandomString,
@@ -7,12 +16,24 @@ const {
     createPaginationMeta,
     sleep,
     truncate,
+    escapeRegExp,
+    escapeHtml,
+    getSearchTerms,
+    highlightSnippet,
+    parseMentions,
+    extractUrls,
+    isEmoji,
 } = require('./helpers');
 
 module.exports = {
     generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
     verifyToken,
     decodeToken,
+    hashToken,
+    generateRefreshToken,
+    parseRefreshToken,
     formatDate,
     generateRandomString,
     sanitizeUser,
@@ -20,4 +41,11 @@ module.exports = {
     createPaginationMeta,
     sleep,
     truncate,
+    escapeRegExp,
+    escapeHtml,
+    getSearchTerms,
+    highlightSnippet,
+    parseMentions,
+    extractUrls,
+    isEmoji,
 };
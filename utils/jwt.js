@@ -1,19 +1,50 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 
 /**
- * Generate JWT Token
+ * Generate JWT access token
  * @param {string} userId - User ID to encode in token
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} - JWT token
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
     return jwt.sign(
-        { userId },
+        { userId, sessionId },
         config.jwtSecret,
         { expiresIn: config.jwtExpiresIn }
     );
 };
 
+/**
+ * Generate a short-lived two-factor login challenge token
+ * Carries no session, so it is never accepted as an access token
+ * @param {string} userId - User who passed the password step
+ * @returns {string} - JWT token
+ */
+const generateChallengeToken = (userId) => {
+    return jwt.sign(
+        { userId, purpose: '2fa' },
+        config.jwtSecret,
+        { expiresIn: config.twoFactor.challengeExpiresIn }
+    );
+};
+
+/**
+ * Verify a two-factor login challenge token
+ * @param {string} token - Challenge token
+ * @returns {object} - Decoded token payload
+ */
+const verifyChallengeToken = (token) => {
+    const decoded = jwt.verify(token, config.jwtSecret);
+
+    if (decoded.purpose !== '2fa') {
+        throw new jwt.JsonWebTokenError('Invalid challenge token');
+    }
+
+    return decoded;
+};
+
 /**
  * Verify JWT Token
  * @param {string} token - Token to verify
@@ -32,8 +63,50 @@ const decodeToken = (token) => {
     return jwt.decode(token);
 };
 
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate an opaque refresh token bound to a session
+ * Format: <sessionId>.<secret>
+ * @param {string} sessionId - Session ID
+ * @returns {object} - { token, secretHash }
+ */
+const generateRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return {
+        token: `${sessionId}.${secret}`,
+        secretHash: hashToken(secret),
+    };
+};
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} token - Refresh token
+ * @returns {object|null} - { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (token) => {
+    if (typeof token !== 'string') return null;
+
+    const [sessionId, secret, ...rest] = token.split('.');
+    if (!sessionId || !secret || rest.length) return null;
+
+    return { sessionId, secret };
+};
+
 module.exports = {
     generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
     verifyToken,
     decodeToken,
+    hashToken,
+    generateRefreshToken,
+    parseRefreshToken,
 };
@@ -0,0 +1,79 @@
+/**
+ * In-memory key/value store with per-key expiry
+ *
+ * Used by the rate limiting middleware. Any other store (e.g. Redis) can be
+ * plugged in instead as long as it implements the same async interface:
+ *   get(key)              => Promise<object|null>
+ *   set(key, value, ttl)  => Promise<void>   (ttl in milliseconds)
+ *   delete(key)           => Promise<void>
+ *
+ * Note: state is per-process, so counters are not shared between instances.
+ */
+class MemoryStore {
+    /**
+     * @param {object} options - { cleanupInterval } in milliseconds
+     */
+    constructor(options = {}) {
+        const { cleanupInterval = 60 * 1000 } = options;
+
+        this.entries = new Map();
+
+        // Periodically drop expired entries so the map doesn't grow forever
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Entry key
+     * @returns {Promise<object|null>}
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Set a value
+     * @param {string} key - Entry key
+     * @param {object} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds
+     */
+    async set(key, value, ttl) {
+        this.entries.set(key, {
+            value,
+            expiresAt: Date.now() + ttl,
+        });
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Entry key
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Remove all expired entries
+     */
+    cleanup() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,55 @@
+const MemoryStore = require('./memoryStore');
+
+/**
+ * Token bucket rate limiter
+ *
+ * Each key owns a bucket holding up to `capacity` tokens that refills evenly
+ * over `interval` milliseconds. A request costs one token; when the bucket is
+ * empty the request is rejected with a hint of when enough tokens will be back.
+ * Bucket state lives in a pluggable store (see utils/memoryStore.js).
+ */
+class TokenBucket {
+    /**
+     * @param {object} options - { capacity, interval, store }
+     */
+    constructor(options) {
+        const { capacity, interval, store = new MemoryStore() } = options;
+
+        this.capacity = capacity;
+        this.interval = interval;
+        this.store = store;
+    }
+
+    /**
+     * Try to take tokens from a key's bucket
+     * @param {string} key - Bucket key
+     * @param {number} cost - Tokens to take
+     * @returns {Promise<object>} - { allowed, remaining, retryAfterMs }
+     */
+    async consume(key, cost = 1) {
+        const now = Date.now();
+        const bucket = (await this.store.get(key)) || { tokens: this.capacity, updatedAt: now };
+
+        // Refill proportionally to the time elapsed since the last update
+        const refilled = ((now - bucket.updatedAt) * this.capacity) / this.interval;
+        let tokens = Math.min(this.capacity, bucket.tokens + refilled);
+
+        const allowed = tokens >= cost;
+        if (allowed) {
+            tokens -= cost;
+        }
+
+        // Keep the bucket around until it would be full again
+        await this.store.set(key, { tokens, updatedAt: now }, this.interval);
+
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            retryAfterMs: allowed
+                ? 0
+                : Math.ceil(((cost - tokens) * this.interval) / this.capacity),
+        };
+    }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based One-Time Passwords (RFC 6238 / RFC 4226)
+ * Self-contained implementation - no external services or packages required
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    step: 30, // Seconds per time step
+    digits: 6,
+    algorithm: 'sha1',
+    window: 1, // Accept codes one step before/after to allow for clock drift
+};
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding/spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} size - Number of random bytes (20 = 160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+const generateSecret = (size = 20) => {
+    return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * HMAC-based One-Time Password (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {object} options - { digits, algorithm }
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (key, counter, options = {}) => {
+    const { digits, algorithm } = { ...DEFAULTS, ...options };
+
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} time - Unix time in milliseconds
+ * @param {number} step - Step size in seconds
+ * @returns {number}
+ */
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => {
+    return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {object} options - { time, step, digits, algorithm }
+ * @returns {string}
+ */
+const generateTotp = (secret, options = {}) => {
+    const { time = Date.now(), step = DEFAULTS.step } = options;
+    return hotp(base32Decode(secret), timeStep(time, step), options);
+};
+
+/**
+ * Verify a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { time, step, digits, algorithm, window }
+ * @returns {number|null} - Matching time step (for replay checks) or null
+ */
+const verifyTotp = (secret, code, options = {}) => {
+    const { time = Date.now(), step, digits, window } = { ...DEFAULTS, ...options };
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const current = timeStep(time, step);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(hotp(key, current + offset, options));
+
+        if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+ * @param {object} params - { secret, label, issuer }
+ * @returns {string}
+ */
+const buildOtpauthUri = ({ secret, label, issuer }) => {
+    const query = Object.entries({
+        secret,
+        issuer,
+        algorithm: DEFAULTS.algorithm.toUpperCase(),
+        digits: DEFAULTS.digits,
+        period: DEFAULTS.step,
+    })
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${query}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    timeStep,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+};